@@ -11,6 +11,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   const analysis = pendingAnalysis;
   const isFromCache = !!analysis._fromCache;
 
+  // Live analysis in progress — sections arrive via analyzeStream messages
+  if (analysis._streaming) {
+    initStreamingView(analysis);
+    return;
+  }
+
   // --- Populate title with email subject and author ---
   document.getElementById("title-subject").textContent =
     analysis._subject || "Analysis";
@@ -50,6 +56,16 @@ document.addEventListener("DOMContentLoaded", async () => {
     document.getElementById("summary").prepend(badge);
   }
 
+  // --- Thread note: open items across the cached messages of the conversation ---
+  if (analysis._thread) {
+    const note = formatThreadNote(analysis._thread);
+    if (note) {
+      const noteEl = document.getElementById("thread-note");
+      noteEl.textContent = note;
+      noteEl.style.display = "";
+    }
+  }
+
   // --- Render detected items ("What I Found") ---
   const detectedEl = document.getElementById("detected-items");
   const detectedSection = document.getElementById("detected-section");
@@ -87,11 +103,70 @@ document.addEventListener("DOMContentLoaded", async () => {
           || item.summary || item.label || null;
       text.textContent = previewText || `${group.label} item ${idx + 1}`;
 
+      // Where the event is and how to join it; how urgent and far along a task is
+      const details = group.key === "events" ? formatEventDetails(item)
+        : group.key === "tasks" ? formatTaskDetails(item) : "";
+      if (details) {
+        const detailEl = document.createElement("span");
+        detailEl.className = "item-detail";
+        detailEl.textContent = details;
+        text.appendChild(detailEl);
+      }
+
+      // Added from this email before, or already in the calendar — offer
+      // to update it instead of adding a copy
+      if (item.created) {
+        const createdEl = document.createElement("span");
+        createdEl.className = "item-existing";
+        createdEl.textContent = item.created.calendar ? `Added to calendar (${item.created.calendar})` : "Added to calendar";
+        text.appendChild(createdEl);
+      } else if (item.existing) {
+        const existingEl = document.createElement("span");
+        existingEl.className = "item-existing";
+        existingEl.textContent = `Already in calendar (${item.existingText})`;
+        text.appendChild(existingEl);
+      }
+
+      // Overlaps something the user is already busy with
+      if (item.conflictText) {
+        const conflictEl = document.createElement("span");
+        conflictEl.className = "item-conflict";
+        conflictEl.textContent = `\u26a0 ${item.conflictText}`;
+        text.appendChild(conflictEl);
+      }
+
+      // Flag items whose fields had to be fixed or dropped during validation
+      const warnings = analysis._itemWarnings?.[group.key]?.[idx] || [];
+      if (warnings.length > 0) {
+        const flag = document.createElement("span");
+        flag.className = "item-warning";
+        flag.textContent = "\u26a0";
+        flag.title = "Check before adding:\n" + warnings.map(w => `\u2022 ${w}`).join("\n");
+        text.prepend(flag);
+      }
+
       const btn = document.createElement("button");
       btn.dataset.group = group.key;
       btn.dataset.index = idx;
 
-      if (isFromCache) {
+      if (isFromCache && item.created) {
+        btn.className = "add-btn done";
+        btn.textContent = "\u2713 Added";
+        btn.disabled = true;
+      } else if (isFromCache && item.existing) {
+        // Read-only events can't be updated from here, nor repeating ones
+        // cached before the occurrence was recorded
+        const { recurring, recurrence_id, readOnly } = item.existing;
+        const canUpdate = !readOnly && (!recurring || !!recurrence_id);
+        btn.className = canUpdate ? "add-btn" : "add-btn done";
+        btn.dataset.action = "update";
+        btn.dataset.btnText = "Update";
+        btn.textContent = canUpdate ? "Update" : "In calendar";
+        btn.title = !canUpdate ? ""
+          : recurring ? "Update this occurrence of the repeating event with these details; the rest of the series stays as it is"
+          : "Update the existing event with these details instead of adding a new one";
+        btn.disabled = !canUpdate;
+      } else if (isFromCache) {
         // Cached data — buttons are immediately active
         btn.className = "add-btn";
         btn.textContent = "Add";
@@ -113,6 +188,37 @@ document.addEventListener("DOMContentLoaded", async () => {
     detectedEl.appendChild(groupDiv);
   }
 
+  // "Add all found items" — creates every event and task without dialogs,
+  // leaving out those already in the calendar
+  const calendarItemCount = (analysis.events || []).filter(e => !e.existing && !e.created).length
+    + (analysis.tasks || []).filter(t => !t.created).length;
+  if (isFromCache && calendarItemCount > 0) {
+    const row = document.createElement("div");
+    row.className = "item-row add-all-row";
+
+    const text = document.createElement("span");
+    text.className = "item-text";
+    text.textContent = calendarItemCount === 1
+      ? "Add it to the calendar without opening a dialog"
+      : `Add all ${calendarItemCount} to the calendar without opening dialogs`;
+
+    const btn = document.createElement("button");
+    btn.id = "add-all-btn";
+    btn.className = "add-btn";
+    btn.textContent = "Add all found items";
+    btn.addEventListener("click", async () => {
+      btn.disabled = true;
+      btn.classList.add("processing");
+      btn.textContent = "Adding\u2026";
+      await browser.runtime.sendMessage({ analyzeAction: "addAll" });
+      // Result arrives via the analyzeAddAllResult listener below
+    });
+
+    row.appendChild(text);
+    row.appendChild(btn);
+    detectedEl.appendChild(row);
+  }
+
   // Tags — show cached AI tags as chips with an actionable "Tag" button
   const cachedTags = analysis._cachedTags;
   if (Array.isArray(cachedTags) && cachedTags.length > 0) {
@@ -232,11 +338,18 @@ document.addEventListener("DOMContentLoaded", async () => {
     const replySection = document.getElementById("reply-section");
     const replyText = document.getElementById("reply-text");
 
-    replyText.textContent = "Could not generate a reply. You can try again using the Quick Actions below.";
+    replyText.textContent = "Could not generate a reply. Pick what it should say below and regenerate.";
     replyText.classList.add("error-text");
     replySection.style.display = "";
-    document.getElementById("use-reply-btn").style.display = "none";
+    const useReplyBtn = document.getElementById("use-reply-btn");
+    useReplyBtn.style.display = "none";
+    useReplyBtn.addEventListener("click", async () => {
+      useReplyBtn.disabled = true;
+      useReplyBtn.textContent = "Opening\u2026";
+      await browser.runtime.sendMessage({ analyzeAction: "useReply" });
+    });
   }
+  await setupReplyOptions();
 
   // --- Render Quick Actions ---
   // Skip quick actions whose detected-item group already appears in "What I Found"
@@ -359,9 +472,10 @@ document.addEventListener("DOMContentLoaded", async () => {
       btn.classList.add("done");
       btn.textContent = "\u2713 Done";
       btn.title = "";
-      // Calendar/task dialogs can't report save vs cancel — keep clickable
+      // Calendar/task dialogs can't report save vs cancel — keep clickable.
+      // Items created directly (Add all) are known to be saved.
       const g = msg.group;
-      if (g === "events" || g === "tasks" || g === "quickCalendar" || g === "quickTask") {
+      if (!msg.created && (g === "events" || g === "tasks" || g === "quickCalendar" || g === "quickTask")) {
         btn.disabled = false;
       }
     } else {
@@ -381,6 +495,44 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // --- Listen for the "Add all found items" outcome from background ---
+  browser.runtime.onMessage.addListener((msg) => {
+    if (!msg || !msg.analyzeAddAllResult) return;
+    const btn = document.getElementById("add-all-btn");
+    if (!btn) return;
+    btn.classList.remove("processing");
+    if (msg.failed > 0) {
+      btn.classList.add("error");
+      btn.textContent = msg.created > 0 ? `Added ${msg.created}, ${msg.failed} failed` : "\u2717 Error";
+      btn.title = msg.error || "Some items could not be added";
+      btn.disabled = false;
+    } else {
+      btn.classList.add("done");
+      btn.textContent = `\u2713 Added ${msg.created}`;
+    }
+  });
+
+  // --- Listen for a regenerated reply from background ---
+  browser.runtime.onMessage.addListener((msg) => {
+    if (!msg || !msg.analyzeReplyRegenerated) return;
+    const btn = document.getElementById("regenerate-reply-btn");
+    const replyText = document.getElementById("reply-text");
+    const useReplyBtn = document.getElementById("use-reply-btn");
+    btn.disabled = false;
+    btn.textContent = "Regenerate";
+    if (msg.error) {
+      btn.title = msg.error;
+      btn.textContent = "\u2717 Try again";
+      return;
+    }
+    btn.title = "";
+    replyText.textContent = msg.reply;
+    replyText.classList.remove("error-text");
+    useReplyBtn.style.display = "";
+    useReplyBtn.disabled = false;
+    useReplyBtn.textContent = "Use This Reply";
+  });
+
   // --- Listen for reply compose outcome from background ---
   browser.runtime.onMessage.addListener((msg) => {
     if (!msg || !msg.analyzeReplyResult) return;
@@ -410,16 +562,151 @@ document.addEventListener("DOMContentLoaded", async () => {
   browser.runtime.sendMessage({ analyzeAction: "dialogReady" }).catch(() => {});
 });
 
+// Read-only view shown while the model is still generating. The background
+// replaces this window with the full dialog once the result is cached.
+function initStreamingView(analysis) {
+  document.getElementById("title-subject").textContent =
+    analysis._subject || "Analysis";
+  document.getElementById("title-author").textContent =
+    analysis._author || "";
+
+  const statusEl = document.getElementById("cache-age");
+  statusEl.textContent = "Analyzing\u2026";
+  statusEl.style.display = "";
+  document.getElementById("loading").textContent = "Waiting for the model\u2026";
+  document.getElementById("quick-section").style.display = "none";
+  document.querySelector(".section-divider").style.display = "none";
+  document.querySelector(".button-row").style.display = "none";
+
+  // Cancel aborts the request; nothing is cached for this message
+  const cancelBtn = document.getElementById("cancel-btn");
+  cancelBtn.style.display = "";
+  cancelBtn.addEventListener("click", async () => {
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = "Cancelling\u2026";
+    await browser.runtime.sendMessage({ analyzeAction: "cancel" }).catch(() => {});
+    window.close();
+  });
+
+  browser.runtime.onMessage.addListener((msg) => {
+    if (!msg || !msg.analyzeStream) return;
+    if (msg.stats) statusEl.textContent = `Analyzing\u2026 ${msg.stats}`;
+    if (msg.sections) renderStreamingSections(msg.sections);
+  });
+}
+
+function renderStreamingSections(sections) {
+  if (Object.keys(sections).length === 0) return;
+  document.getElementById("loading").style.display = "none";
+  document.getElementById("content").style.display = "";
+
+  const summaryEl = document.getElementById("summary");
+  summaryEl.textContent = typeof sections.summary === "string"
+    ? sections.summary
+    : "Summarizing\u2026";
+  const priority = sections.priority;
+  if (typeof priority === "string" && priority !== "informational") {
+    const badge = document.createElement("span");
+    badge.className = `priority-badge priority-${priority}`;
+    badge.textContent = priority === "action-needed"
+      ? "Action Needed"
+      : priority.charAt(0).toUpperCase() + priority.slice(1);
+    summaryEl.prepend(badge);
+  }
+
+  const detectedEl = document.getElementById("detected-items");
+  detectedEl.textContent = "";
+  const groups = [
+    { key: "events",   label: "Calendar Events" },
+    { key: "tasks",    label: "Tasks" },
+    { key: "contacts", label: "Contacts" },
+  ];
+  let hasDetected = false;
+  for (const group of groups) {
+    const items = sections[group.key];
+    if (!Array.isArray(items) || items.length === 0) continue;
+    hasDetected = true;
+
+    const groupDiv = document.createElement("div");
+    groupDiv.className = "group";
+    const groupLabel = document.createElement("div");
+    groupLabel.className = "group-label";
+    groupLabel.textContent = group.label;
+    groupDiv.appendChild(groupLabel);
+
+    items.forEach((item, idx) => {
+      const row = document.createElement("div");
+      row.className = "item-row";
+      const text = document.createElement("span");
+      text.className = "item-text";
+      const previewText = typeof item === "string" ? item
+        : item && (item.preview || item.title || item.name || item.description
+          || item.summary || item.label);
+      text.textContent = previewText || `${group.label} item ${idx + 1}`;
+      const btn = document.createElement("button");
+      btn.className = "add-btn processing";
+      btn.textContent = "Waiting\u2026";
+      btn.disabled = true;
+      row.appendChild(text);
+      row.appendChild(btn);
+      groupDiv.appendChild(row);
+    });
+    detectedEl.appendChild(groupDiv);
+  }
+  document.getElementById("detected-section").style.display = hasDetected ? "" : "none";
+
+  const reply = typeof sections.reply === "string" ? sections.reply.trim() : "";
+  if (reply) {
+    document.getElementById("reply-text").textContent = reply;
+    document.getElementById("use-reply-btn").style.display = "none";
+    document.querySelector(".reply-options").style.display = "none";
+    document.getElementById("reply-section").style.display = "";
+  }
+}
+
+// Intent / tone / length pickers of the Suggested Reply section. Tone and
+// length start at the presets from settings.
+async function setupReplyOptions() {
+  const fill = (id, options) => {
+    const select = document.getElementById(id);
+    for (const { key, label } of options) {
+      const opt = document.createElement("option");
+      opt.value = key;
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+    return select;
+  };
+  const intent = fill("reply-intent", REPLY_INTENTS);
+  const tone = fill("reply-tone", REPLY_TONES);
+  const length = fill("reply-length", REPLY_LENGTHS);
+  const { replyTone, replyLength } = await browser.storage.sync.get({ replyTone: "", replyLength: "" });
+  tone.value = replyTone;
+  length.value = replyLength;
+
+  const btn = document.getElementById("regenerate-reply-btn");
+  btn.addEventListener("click", () => {
+    btn.disabled = true;
+    btn.textContent = "Writing\u2026";
+    browser.runtime.sendMessage({
+      analyzeAction: "regenerateReply",
+      options: { intent: intent.value, tone: tone.value, length: length.value },
+    }).catch(() => {});
+    // Result arrives via the analyzeReplyRegenerated listener
+  });
+}
+
 async function handleItemClick(btn, group, index) {
   if (btn.disabled) return;
 
   btn.disabled = true;
   btn.classList.remove("error", "done");
   btn.classList.add("processing");
-  btn.textContent = "Adding\u2026";
+  const update = btn.dataset.action === "update";
+  btn.textContent = update ? "Updating\u2026" : "Adding\u2026";
 
   // Send request to background — result comes back via the onMessage listener
-  await browser.runtime.sendMessage({ analyzeAction: "openItem", group, index });
+  await browser.runtime.sendMessage({ analyzeAction: update ? "updateItem" : "openItem", group, index });
 }
 
 function buildSelections() {
@@ -429,6 +716,54 @@ function buildSelections() {
   return selections;
 }
 
+// 15 → "15 min before", 180 → "3 h before", 0 → "at start"
+function formatReminder(minutes) {
+  if (minutes === 0) return "at start";
+  if (minutes % 1440 === 0) return `${minutes / 1440} d before`;
+  if (minutes % 60 === 0) return `${minutes / 60} h before`;
+  return `${minutes} min before`;
+}
+
+// "America/Los Angeles time · Repeats every other Tuesday · Room 4B · zoom.us link"
+function formatEventDetails(item) {
+  const parts = [];
+  const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (item.use_timezone && !item.convert_timezone && item.timezone !== localZone) {
+    parts.push(`${item.timezone.replace(/_/g, " ")} time`);
+  }
+  if (item.recurrenceText) parts.push(`Repeats ${item.recurrenceText}`);
+  if (item.alarms?.length) parts.push(`Reminder ${formatReminder(item.alarms[0])}`);
+  if (item.transp === "TRANSPARENT") parts.push("Shown as free");
+  if (item.location) parts.push(item.location);
+  if (item.url) {
+    try {
+      parts.push(`${new URL(item.url).hostname.replace(/^www\./, "")} link`);
+    } catch {}
+  }
+  return parts.join(" \u00b7 ");
+}
+
+// "High priority · In progress (40%)" — normal priority isn't shown
+function formatTaskDetails(item) {
+  const parts = [];
+  if (item.priority >= 1 && item.priority <= 4) parts.push("High priority");
+  else if (item.priority >= 6) parts.push("Low priority");
+  if (item.status === "COMPLETED") parts.push("Completed");
+  else if (item.status === "CANCELLED") parts.push("Cancelled");
+  else if (item.status === "IN-PROCESS") parts.push(item.percentComplete ? `In progress (${item.percentComplete}%)` : "In progress");
+  return parts.join(" \u00b7 ");
+}
+
+// "This thread has 2 open tasks and 1 event across 3 analyzed messages."
+function formatThreadNote(thread) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const parts = [];
+  if (thread.openTasks > 0) parts.push(plural(thread.openTasks, "open task"));
+  if (thread.events > 0) parts.push(plural(thread.events, "event"));
+  if (parts.length === 0) return "";
+  return `This thread has ${parts.join(" and ")} across ${plural(thread.messages, "analyzed message")}.`;
+}
+
 function formatCacheAge(timestamp) {
   const diff = Date.now() - timestamp;
   const seconds = Math.floor(diff / 1000);
@@ -18,12 +18,15 @@
  *  openCalendarDialog  — calls window.createEventWithDialog() to open the
  *                        native New Event dialog, pre-filled with AI-extracted
  *                        data. Uses CalEvent (XPCOM) to carry description,
- *                        attendees, and category that the dialog API doesn't
- *                        accept as plain parameters.
+ *                        location, meeting link (URL), repeat rule (RRULE),
+ *                        reminders (VALARM), busy/free (TRANSP), attendees,
+ *                        and category that the dialog API doesn't accept as
+ *                        plain parameters.
  *
  *  openTaskDialog      — calls createTodoWithDialog() (from window or the
  *                        calendar-item-editing module) to open the native
- *                        New Task dialog, pre-filled with AI-extracted data.
+ *                        New Task dialog, pre-filled with AI-extracted data,
+ *                        including priority, status and percent complete.
  *
  *  getCategories       — reads the list of user-configured calendar categories
  *                        from the "calendar.categories.names" preference so
@@ -32,11 +35,35 @@
  *  getCalendars        — returns the names and IDs of all enabled calendars so
  *                        the options page can populate a dropdown.
  *
+ *  createEvent /       — build the same CalEvent / CalTodo as the dialog
+ *  createTask            functions and add it straight to a calendar via
+ *                        cal.manager, without opening a dialog. Used for
+ *                        "Add all found items"; returns the new item's id.
+ *
+ *  findEvents          — lists events in a date window so extracted events
+ *                        can be checked against what is already there.
+ *
+ *  findTasks           — lists the tasks created from an email (by the
+ *                        Message-ID stored on them), so the analysis can show
+ *                        which of its tasks were added.
+ *
+ *  updateEvent         — applies newly extracted times and details to an
+ *                        existing event instead of adding a duplicate (to
+ *                        one occurrence only, when the event repeats).
+ *
+ *  getBusyIntervals    — returns the times the user is busy in a date window,
+ *                        to flag conflicts and inform RSVP reply drafts.
+ *
+ *  getSelectedItemMessageIds
+ *                      — returns the source email's Message-ID stored on the
+ *                        events/tasks selected in the calendar or task view,
+ *                        so the email can be opened from the item.
+ *
  * NO DATA LEAVES THUNDERBIRD VIA THIS FILE. All network I/O is done in the
  * unprivileged background.js using the standard fetch() API.
  */
 
-/* global Services, ExtensionCommon */
+/* global Services, ExtensionCommon, Ci */
 
 "use strict";
 
@@ -60,6 +87,20 @@
     console.warn("[ThunderClerk-AI] CalTodo import failed:", e.message);
   }
 
+  var CalAlarm = null;
+  try {
+    ({ CalAlarm } = ChromeUtils.importESModule("resource:///modules/CalAlarm.sys.mjs"));
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] CalAlarm import failed:", e.message);
+  }
+
+  var CalRecurrenceInfo = null;
+  try {
+    ({ CalRecurrenceInfo } = ChromeUtils.importESModule("resource:///modules/CalRecurrenceInfo.sys.mjs"));
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] CalRecurrenceInfo import failed:", e.message);
+  }
+
   // createTodoWithDialog may live on the window (older TB) or in the module (TB 128+).
   function getCreateTodoFn(window) {
     if (typeof window.createTodoWithDialog === "function") {
@@ -111,6 +152,174 @@
     }
   }
 
+  // Calendar to add items to without a dialog: the named one, else the one
+  // selected in the calendar tab, else the first writable calendar.
+  function targetCalendar(name) {
+    let calendar = findCalendarByName(name);
+    if (!calendar) {
+      const window = Services.wm.getMostRecentWindow("mail:3pane");
+      try {
+        calendar = window?.getSelectedCalendar() || null;
+      } catch (e) {
+        calendar = null;
+      }
+    }
+    if (!calendar || calendar.readOnly) {
+      calendar = cal.manager.getCalendars()
+        .find(c => !c.readOnly && !c.getProperty("disabled")) || null;
+    }
+    if (!calendar) throw new Error("No writable calendar found");
+    return calendar;
+  }
+
+  // Put a date in the sender's zone (data.timezone) and, with
+  // data.convert_timezone, move it to the user's calendar zone — same
+  // instant, local wall-clock time. Unknown zone names leave it floating.
+  function applyTimezone(dateTime, data) {
+    if (!dateTime || !data.use_timezone) return dateTime;
+    const tz = new CalTimezoneService().getTimezone(data.timezone);
+    if (!tz) return dateTime;
+    dateTime.timezone = tz;
+    return data.convert_timezone ? dateTime.getInTimezone(cal.dtz.defaultTimezone) : dateTime;
+  }
+
+  // Start/end calIDateTimes for an event, in cal_data's time zone when set.
+  function eventDateTimes(cal_data) {
+    const startDate = applyTimezone(cal.createDateTime(cal_data.startDate), cal_data);
+    const endDate   = applyTimezone(cal.createDateTime(cal_data.endDate), cal_data);
+    return { startDate, endDate };
+  }
+
+  // Start/end for an item added without the dialog: all-day items are dates
+  // with an exclusive end.
+  function storedEventDateTimes(cal_data) {
+    let { startDate, endDate } = eventDateTimes(cal_data);
+    if (cal_data.forceAllDay) {
+      startDate.isDate = true;
+      endDate.isDate = true;
+      if (endDate.compare(startDate) <= 0) {
+        endDate = startDate.clone();
+        endDate.day += 1;
+      }
+    }
+    return { startDate, endDate };
+  }
+
+  // calIDateTime → "YYYYMMDD" / "YYYYMMDDTHHMMSS" wall-clock time in tz
+  function calDateString(dateTime, tz) {
+    if (!dateTime) return null;
+    const inZone = dateTime.isDate ? dateTime : dateTime.getInTimezone(tz);
+    return inZone.icalString.replace(/Z$/, "");
+  }
+
+  // Events and occurrences overlapping query.startDate–endDate (wall-clock
+  // times in query.timezone, else the user's zone), in the named calendar or
+  // all enabled ones → { tz, found: [{ item, calendar }] }.
+  async function eventsInWindow(query) {
+    const tz = (query.timezone && new CalTimezoneService().getTimezone(query.timezone))
+      || cal.dtz.defaultTimezone;
+    const rangeStart = cal.createDateTime(query.startDate);
+    const rangeEnd   = cal.createDateTime(query.endDate);
+    rangeStart.timezone = tz;
+    rangeEnd.timezone   = tz;
+
+    const calendars = query.calendar_name
+      ? [findCalendarByName(query.calendar_name)].filter(Boolean)
+      : cal.manager.getCalendars().filter(c => !c.getProperty("disabled"));
+    const filter = Ci.calICalendar.ITEM_FILTER_TYPE_EVENT | Ci.calICalendar.ITEM_FILTER_CLASS_OCCURRENCES;
+
+    const found = [];
+    for (const calendar of calendars) {
+      try {
+        const items = await calendar.getItemsAsArray(filter, 0, rangeStart, rangeEnd);
+        for (const item of items) found.push({ item, calendar });
+      } catch (e) {
+        console.warn(`[ThunderClerk-AI] Could not search calendar "${calendar.name}":`, e.message);
+      }
+    }
+    return { tz, found };
+  }
+
+  // An occurrence's RECURRENCE-ID as an iCal string (in UTC unless it is a
+  // date), so updateEvent can find the same occurrence again; null otherwise.
+  function recurrenceIdString(recurrenceId) {
+    if (!recurrenceId) return null;
+    return recurrenceId.isDate ? recurrenceId.icalString : recurrenceId.getInTimezone(cal.dtz.UTC).icalString;
+  }
+
+  function taskDateTimes(task_data) {
+    const dueDate     = applyTimezone(task_data.dueDate     ? cal.createDateTime(task_data.dueDate)     : null, task_data);
+    const initialDate = applyTimezone(task_data.initialDate ? cal.createDateTime(task_data.initialDate) : null, task_data);
+    return { dueDate, initialDate };
+  }
+
+  // Free-text event fields the dialog has no parameters for
+  function setEventDetails(calEvent, cal_data) {
+    if (cal_data.description) calEvent.setProperty("DESCRIPTION", cal_data.description);
+    if (cal_data.location)    calEvent.setProperty("LOCATION", cal_data.location);
+    if (cal_data.url)         calEvent.setProperty("URL", cal_data.url);
+  }
+
+  // The Message-ID of the email an item was created from, so it can be
+  // found again from the item (see getSelectedItemMessageIds).
+  const MESSAGE_ID_PROP = "X-THUNDERCLERK-MESSAGE-ID";
+
+  function setSourceMessage(item, data) {
+    if (data.message_id) item.setProperty(MESSAGE_ID_PROP, data.message_id);
+  }
+
+  // Make the event repeat by an RRULE value ("FREQ=WEEKLY;BYDAY=TU").
+  // Needs the start date set first; a rule libical rejects leaves a one-off event.
+  function setRecurrence(calEvent, rrule) {
+    if (!rrule || !CalRecurrenceInfo) return;
+    try {
+      const recurrenceInfo = new CalRecurrenceInfo(calEvent);
+      recurrenceInfo.appendRecurrenceItem(cal.createRecurrenceRule("RRULE:" + rrule));
+      calEvent.recurrenceInfo = recurrenceInfo;
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not set recurrence:", e.message);
+    }
+  }
+
+  // Display reminders `minutes` before the start, and busy/free (TRANSP).
+  function setAlarmsAndTransp(calEvent, cal_data) {
+    if (cal_data.transp) calEvent.setProperty("TRANSP", cal_data.transp);
+    if (!cal_data.alarms || !CalAlarm) return;
+    for (const minutes of cal_data.alarms) {
+      try {
+        const alarm = new CalAlarm();
+        alarm.action  = "DISPLAY";
+        alarm.related = Ci.calIAlarm.ALARM_RELATED_START;
+        const offset = cal.createDuration();
+        offset.inSeconds = -minutes * 60;
+        alarm.offset = offset;
+        calEvent.addAlarm(alarm);
+      } catch (e) {
+        console.warn("[ThunderClerk-AI] Could not add reminder:", e.message);
+      }
+    }
+  }
+
+  // Triage fields of a task: PRIORITY (1 high, 5 normal, 9 low), STATUS and
+  // PERCENT-COMPLETE. Completed tasks also get a completion date.
+  function setTaskProgress(calTodo, task_data) {
+    if (task_data.priority) calTodo.priority = task_data.priority;
+    if (task_data.status === "COMPLETED") {
+      calTodo.isCompleted = true;
+    } else {
+      if (task_data.status) calTodo.status = task_data.status;
+      if (task_data.percentComplete != null) calTodo.percentComplete = task_data.percentComplete;
+    }
+  }
+
+  function attendeeObjects(attendees) {
+    if (attendees == null) return [];
+    return attendees.map(attendee => {
+      const addr = attendee.startsWith("mailto:") ? attendee : "mailto:" + attendee;
+      return new CalAttendee("ATTENDEE:" + addr, "", "REQ-PARTICIPANT", "", "");
+    });
+  }
+
   var CalendarTools = class extends ExtensionCommon.ExtensionAPI {
     getAPI(context) {
       return {
@@ -122,38 +331,27 @@
               throw new Error("No active Thunderbird window found");
             }
             try {
-              let startDate = cal.createDateTime(cal_data.startDate);
-              let endDate = cal.createDateTime(cal_data.endDate);
-
-              if (cal_data.use_timezone) {
-                const timezoneService = new CalTimezoneService();
-                startDate.timezone = timezoneService.getTimezone(cal_data.timezone);
-                endDate.timezone = timezoneService.getTimezone(cal_data.timezone);
-              }
+              const { startDate, endDate } = eventDateTimes(cal_data);
+              const attendees_obj = attendeeObjects(cal_data.attendees);
 
-              let attendees_obj = [];
-              if (cal_data.attendees != null) {
-                attendees_obj = cal_data.attendees.map(attendee => {
-                  const addr = attendee.startsWith("mailto:") ? attendee : "mailto:" + attendee;
-                  return new CalAttendee("ATTENDEE:" + addr, "", "REQ-PARTICIPANT", "", "");
-                });
-              }
-
-              // Build a pre-populated CalEvent when we have description or attendees,
-              // because createEventWithDialog uses the event object directly and ignores
-              // the standalone attendees parameter when event != null.
+              // Build a pre-populated CalEvent when we have description, location,
+              // link, repeat rule, reminders or attendees, because createEventWithDialog uses the event object
+              // directly and ignores the standalone attendees parameter when event != null.
               let calEvent = null;
-              const needsEvent = cal_data.description || attendees_obj.length > 0 || cal_data.category;
+              const needsEvent = cal_data.description || cal_data.location || cal_data.url
+                || cal_data.rrule || cal_data.alarms?.length || cal_data.transp
+                || attendees_obj.length > 0 || cal_data.category || cal_data.message_id;
               if (needsEvent && CalEvent) {
                 try {
                   calEvent = new CalEvent();
                   calEvent.startDate = startDate.clone();
                   calEvent.endDate   = endDate.clone();
                   calEvent.title     = cal_data.summary || "";
-                  if (cal_data.description) {
-                    calEvent.setProperty("DESCRIPTION", cal_data.description);
-                  }
+                  setEventDetails(calEvent, cal_data);
+                  setRecurrence(calEvent, cal_data.rrule);
+                  setAlarmsAndTransp(calEvent, cal_data);
                   setItemCategory(calEvent, cal_data.category);
+                  setSourceMessage(calEvent, cal_data);
                   for (const attendee of attendees_obj) {
                     calEvent.addAttendee(attendee);
                   }
@@ -187,28 +385,24 @@
               throw new Error("No active Thunderbird window found");
             }
             try {
-              let dueDate     = task_data.dueDate     ? cal.createDateTime(task_data.dueDate)     : null;
-              let initialDate = task_data.initialDate ? cal.createDateTime(task_data.initialDate) : null;
-
-              if (task_data.use_timezone) {
-                const timezoneService = new CalTimezoneService();
-                if (dueDate)     dueDate.timezone     = timezoneService.getTimezone(task_data.timezone);
-                if (initialDate) initialDate.timezone = timezoneService.getTimezone(task_data.timezone);
-              }
+              const { dueDate, initialDate } = taskDateTimes(task_data);
 
               let curr_calendar = findCalendarByName(task_data.calendar_name) || window.getSelectedCalendar();
 
               // Build a pre-populated CalTodo when we have a description, so we can
               // pass it as the todo argument and have the description pre-filled.
               let calTodo = null;
-              if ((task_data.description || task_data.category) && CalTodo) {
+              const hasProgress = task_data.priority || task_data.status || task_data.percentComplete != null;
+              if ((task_data.description || task_data.category || task_data.message_id || hasProgress) && CalTodo) {
                 try {
                   calTodo = new CalTodo();
                   calTodo.title = task_data.summary || "";
                   if (dueDate)     calTodo.dueDate   = dueDate.clone();
                   if (initialDate) calTodo.entryDate = initialDate.clone();
-                  calTodo.setProperty("DESCRIPTION", task_data.description);
+                  if (task_data.description) calTodo.setProperty("DESCRIPTION", task_data.description);
                   setItemCategory(calTodo, task_data.category);
+                  setTaskProgress(calTodo, task_data);
+                  setSourceMessage(calTodo, task_data);
                 } catch (e) {
                   console.warn("[ThunderClerk-AI] Could not set up CalTodo:", e.message);
                   calTodo = null;
@@ -237,6 +431,60 @@
             return { result: true };
           },
 
+          async createEvent(cal_data) {
+            try {
+              if (!CalEvent) throw new Error("CalEvent is not available in this Thunderbird version");
+              const { startDate, endDate } = storedEventDateTimes(cal_data);
+
+              const calEvent = new CalEvent();
+              calEvent.id        = cal.getUUID();
+              calEvent.title     = cal_data.summary || "";
+              calEvent.startDate = startDate;
+              calEvent.endDate   = endDate;
+              setEventDetails(calEvent, cal_data);
+              setRecurrence(calEvent, cal_data.rrule);
+              setAlarmsAndTransp(calEvent, cal_data);
+              setItemCategory(calEvent, cal_data.category);
+              setSourceMessage(calEvent, cal_data);
+              for (const attendee of attendeeObjects(cal_data.attendees)) {
+                calEvent.addAttendee(attendee);
+              }
+
+              const calendar = targetCalendar(cal_data.calendar_name);
+              const created = await calendar.addItem(calEvent);
+              return { result: true, id: created?.id || calEvent.id, calendar_id: calendar.id, calendar: calendar.name };
+            } catch (e) {
+              console.error("[ThunderClerk-AI] createEvent error:", e);
+              return { result: false, error: e.message };
+            }
+          },
+
+          async createTask(task_data) {
+            try {
+              if (!CalTodo) throw new Error("CalTodo is not available in this Thunderbird version");
+              const { dueDate, initialDate } = taskDateTimes(task_data);
+
+              const calTodo = new CalTodo();
+              calTodo.id    = cal.getUUID();
+              calTodo.title = task_data.summary || "";
+              if (dueDate)     calTodo.dueDate   = dueDate;
+              if (initialDate) calTodo.entryDate = initialDate;
+              if (task_data.description) {
+                calTodo.setProperty("DESCRIPTION", task_data.description);
+              }
+              setItemCategory(calTodo, task_data.category);
+              setTaskProgress(calTodo, task_data);
+              setSourceMessage(calTodo, task_data);
+
+              const calendar = targetCalendar(task_data.calendar_name);
+              const created = await calendar.addItem(calTodo);
+              return { result: true, id: created?.id || calTodo.id, calendar_id: calendar.id, calendar: calendar.name };
+            } catch (e) {
+              console.error("[ThunderClerk-AI] createTask error:", e);
+              return { result: false, error: e.message };
+            }
+          },
+
           async getCategories() {
             try {
               const pref = Services.prefs.getCharPref("calendar.categories.names", "");
@@ -258,6 +506,147 @@
               console.error("[ThunderClerk-AI] getCalendars error:", e);
               return [];
             }
+          },
+
+          // Events (and occurrences of recurring ones) overlapping a date
+          // window, in the named calendar or all enabled ones. Window and
+          // returned dates are wall-clock times in query.timezone, else the
+          // user's calendar zone.
+          async findEvents(query) {
+            try {
+              const { tz, found } = await eventsInWindow(query);
+              return found.map(({ item, calendar }) => ({
+                id:          item.id,
+                calendar_id: calendar.id,
+                calendar:    calendar.name,
+                title:       item.title || "",
+                startDate:   calDateString(item.startDate, tz),
+                endDate:     calDateString(item.endDate, tz),
+                allDay:      !!item.startDate?.isDate,
+                recurring:   !!item.recurrenceId,
+                recurrence_id: recurrenceIdString(item.recurrenceId),
+                readOnly:    !!calendar.readOnly,
+                message_id:  item.getProperty(MESSAGE_ID_PROP) || null,
+              }));
+            } catch (e) {
+              console.error("[ThunderClerk-AI] findEvents error:", e);
+              return [];
+            }
+          },
+
+          // Tasks, completed or not, in all enabled calendars that were
+          // created from the email with Message-ID query.message_id.
+          async findTasks(query) {
+            const calendars = cal.manager.getCalendars().filter(c => !c.getProperty("disabled"));
+            const filter = Ci.calICalendar.ITEM_FILTER_TYPE_TODO | Ci.calICalendar.ITEM_FILTER_COMPLETED_ALL;
+            const found = [];
+            for (const calendar of calendars) {
+              try {
+                const items = await calendar.getItemsAsArray(filter, 0, null, null);
+                for (const item of items) {
+                  if (item.getProperty(MESSAGE_ID_PROP) !== query.message_id) continue;
+                  found.push({
+                    id:          item.id,
+                    calendar_id: calendar.id,
+                    calendar:    calendar.name,
+                    title:       item.title || "",
+                    message_id:  query.message_id,
+                  });
+                }
+              } catch (e) {
+                console.warn(`[ThunderClerk-AI] Could not search calendar "${calendar.name}":`, e.message);
+              }
+            }
+            return found;
+          },
+
+          // Times the user is busy in a date window, across all enabled
+          // calendars: events marked free (TRANSP:TRANSPARENT) or cancelled
+          // don't count, nor do all-day events unless explicitly busy.
+          async getBusyIntervals(query) {
+            try {
+              const { tz, found } = await eventsInWindow({ ...query, calendar_name: null });
+              return found
+                .filter(({ item }) => {
+                  const transp = item.getProperty("TRANSP");
+                  if (transp === "TRANSPARENT" || item.status === "CANCELLED") return false;
+                  return !item.startDate?.isDate || transp === "OPAQUE";
+                })
+                .map(({ item, calendar }) => ({
+                  id:        item.id,
+                  title:     item.title || "",
+                  calendar:  calendar.name,
+                  startDate: calDateString(item.startDate, tz),
+                  endDate:   calDateString(item.endDate, tz),
+                  allDay:    !!item.startDate?.isDate,
+                }));
+            } catch (e) {
+              console.error("[ThunderClerk-AI] getBusyIntervals error:", e);
+              return [];
+            }
+          },
+
+          // Replace an existing event's title, times, description, location
+          // and link with newly extracted ones; attendees, reminders and
+          // repeat rules the user set stay as they are. For a repeating event,
+          // cal_data.recurrence_id (from findEvents) names the occurrence to
+          // change; it becomes an exception and the rest of the series stays.
+          async updateEvent(cal_data) {
+            try {
+              const calendar = cal.manager.getCalendarById(cal_data.calendar_id);
+              if (!calendar) throw new Error("The calendar of the existing event was not found");
+              const oldItem = await calendar.getItem(cal_data.id);
+              if (!oldItem) throw new Error("The existing event was not found");
+
+              let target = oldItem;
+              if (oldItem.recurrenceInfo) {
+                if (!cal_data.recurrence_id) throw new Error("The existing event repeats; only a single occurrence of it can be updated");
+                target = oldItem.recurrenceInfo.getOccurrenceFor(cal.createDateTime(cal_data.recurrence_id));
+                if (!target) throw new Error("The occurrence of the existing event was not found");
+              }
+
+              const newItem = target.clone();
+              const { startDate, endDate } = storedEventDateTimes(cal_data);
+              newItem.startDate = startDate;
+              newItem.endDate   = endDate;
+              if (cal_data.summary) newItem.title = cal_data.summary;
+              setEventDetails(newItem, cal_data);
+              setSourceMessage(newItem, cal_data);
+
+              if (target === oldItem) {
+                await calendar.modifyItem(newItem, oldItem);
+              } else {
+                const newParent = oldItem.clone();
+                newParent.recurrenceInfo.modifyException(newItem, true);
+                await calendar.modifyItem(newParent, oldItem);
+              }
+              return { result: true, id: newItem.id, calendar_id: calendar.id, calendar: calendar.name };
+            } catch (e) {
+              console.error("[ThunderClerk-AI] updateEvent error:", e);
+              return { result: false, error: e.message };
+            }
+          },
+
+          // Source Message-IDs of the items selected in the calendar or task
+          // view of the main window; items not created from an email have none.
+          async getSelectedItemMessageIds() {
+            const window = Services.wm.getMostRecentWindow("mail:3pane");
+            if (!window) return [];
+            try {
+              const mode = window.gTabmail?.currentTabInfo?.mode?.name;
+              let items = [];
+              if (mode === "tasks") {
+                items = window.getSelectedTasks?.() || [];
+              } else if (mode === "calendar") {
+                items = window.currentView?.()?.getSelectedItems() || [];
+              }
+              return items
+                .map(item => item.getProperty(MESSAGE_ID_PROP))
+                .filter(Boolean);
+            } catch (e) {
+              console.error("[ThunderClerk-AI] getSelectedItemMessageIds error:", e);
+              return [];
+            }
           }
 
         }
@@ -4,9 +4,10 @@ const DEBUG = false;
 
 const DEFAULT_HOST = "http://127.0.0.1:11434";
 
-// Singleton window IDs — prevent multiple triage/analysis windows
+// Singleton window IDs — prevent multiple triage/analysis/bulk contact windows
 let triageWindowId = null;
 let analyzeWindowId = null;
+let bulkContactsWindowId = null;
 // Guards against race conditions during async window creation
 let triageOpening = false;
 let analyzeOpening = false;
@@ -49,7 +50,8 @@ browser.runtime.onInstalled.addListener(async (details) => {
 const MENU_IDS = new Set([
   "thunderclerk-ai-add-calendar",
   "thunderclerk-ai-add-task",
-  "thunderclerk-ai-draft-reply",
+  "thunderclerk-ai-draft-reply-suggested",
+  ...REPLY_INTENTS.map(i => `thunderclerk-ai-reply-intent-${i.key}`),
   "thunderclerk-ai-summarize-forward",
   "thunderclerk-ai-extract-contact",
   "thunderclerk-ai-catalog-email",
@@ -92,6 +94,56 @@ browser.menus.create({
   contexts: ["message_list"],
 });
 
+// Draft Reply submenu — the suggested reply, one entry per intent, and the
+// tone and length presets (saved as the replyTone / replyLength settings)
+browser.menus.create({
+  id: "thunderclerk-ai-draft-reply-suggested",
+  parentId: "thunderclerk-ai-draft-reply",
+  title: "Suggested Reply",
+  contexts: ["message_list"],
+});
+
+browser.menus.create({
+  id: "thunderclerk-ai-reply-sep-1",
+  parentId: "thunderclerk-ai-draft-reply",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+for (const intent of REPLY_INTENTS) {
+  browser.menus.create({
+    id: `thunderclerk-ai-reply-intent-${intent.key}`,
+    parentId: "thunderclerk-ai-draft-reply",
+    title: intent.label,
+    contexts: ["message_list"],
+  });
+}
+
+browser.menus.create({
+  id: "thunderclerk-ai-reply-sep-2",
+  parentId: "thunderclerk-ai-draft-reply",
+  type: "separator",
+  contexts: ["message_list"],
+});
+
+for (const [setting, title, presets, defaultTitle] of [
+  ["tone", "Tone", REPLY_TONES, "Match the Email"],
+  ["length", "Length", REPLY_LENGTHS, "Default"],
+]) {
+  const parentId = `thunderclerk-ai-reply-${setting}`;
+  browser.menus.create({ id: parentId, parentId: "thunderclerk-ai-draft-reply", title, contexts: ["message_list"] });
+  for (const { key, label } of [{ key: "default", label: defaultTitle }, ...presets]) {
+    browser.menus.create({
+      id: `${parentId}-${key}`,
+      parentId,
+      title: label,
+      type: "radio",
+      checked: key === "default",
+      contexts: ["message_list"],
+    });
+  }
+}
+
 browser.menus.create({
   id: "thunderclerk-ai-summarize-forward",
   parentId: "thunderclerk-ai-parent",
@@ -158,6 +210,13 @@ browser.menus.create({
   visible: false,              // hidden until enabled in settings
 });
 
+// Tools menu — open the email the selected calendar event or task came from
+browser.menus.create({
+  id: "thunderclerk-ai-open-source-email",
+  title: "Open Source Email of Calendar Item",
+  contexts: ["tools_menu"],
+});
+
 // Show/hide Auto Analyze menu items and message display action button
 async function syncAutoAnalyzeVisibility() {
   const { autoAnalyzeEnabled } = await browser.storage.sync.get({ autoAnalyzeEnabled: DEFAULTS.autoAnalyzeEnabled });
@@ -175,17 +234,39 @@ async function syncAutoAnalyzeVisibility() {
 }
 syncAutoAnalyzeVisibility();
 
+// Check the Tone / Length radio items of the saved reply presets
+async function syncReplyPresetMenus() {
+  const { replyTone, replyLength } = await browser.storage.sync.get({
+    replyTone: DEFAULTS.replyTone,
+    replyLength: DEFAULTS.replyLength,
+  });
+  browser.menus.update(`thunderclerk-ai-reply-tone-${replyTone || "default"}`, { checked: true }).catch(() => {});
+  browser.menus.update(`thunderclerk-ai-reply-length-${replyLength || "default"}`, { checked: true }).catch(() => {});
+}
+syncReplyPresetMenus();
+
+browser.menus.onClicked.addListener((info) => {
+  const m = /^thunderclerk-ai-reply-(tone|length)-(\w+)$/.exec(info.menuItemId);
+  if (!m) return;
+  const value = m[2] === "default" ? "" : m[2];
+  browser.storage.sync.set(m[1] === "tone" ? { replyTone: value } : { replyLength: value });
+});
+
 browser.storage.onChanged.addListener((changes, area) => {
   if (area === "sync" && changes.autoAnalyzeEnabled) {
     syncAutoAnalyzeVisibility();
   }
-  // Re-check Ollama immediately when the host URL changes
-  if (area === "sync" && changes.ollamaHost) {
+  if (area === "sync" && (changes.replyTone || changes.replyLength)) {
+    syncReplyPresetMenus();
+  }
+  // Re-check connectivity immediately when the server settings change
+  if ((area === "sync" && (changes.ollamaHost || changes.llmProvider)) ||
+      (area === "local" && changes.llmApiKey)) {
     checkOllamaStatus();
   }
 });
 
-// --- Ollama connectivity status indicator (toolbar button) ---
+// --- LLM server connectivity status indicator (toolbar button) ---
 
 let ollamaReachable = null; // null=unknown, true=up, false=down
 let _lastIconStatus = null; // tracks last rendered status to avoid redundant setIcon calls
@@ -273,26 +354,29 @@ async function updateOllamaStatusIcon(reachable) {
 }
 
 async function checkOllamaStatus() {
-  let host;
+  let conn;
   try {
-    const settings = await browser.storage.sync.get({ ollamaHost: DEFAULT_HOST });
-    host = settings.ollamaHost || DEFAULT_HOST;
+    const settings = await browser.storage.sync.get({
+      ollamaHost: DEFAULT_HOST,
+      llmProvider: DEFAULTS.llmProvider,
+    });
+    conn = await llmConnection(settings);
   } catch {
-    host = DEFAULT_HOST;
+    conn = await llmConnection({});
   }
 
-  if (!isValidHostUrl(host)) {
+  if (!isValidHostUrl(conn.host)) {
     ollamaReachable = false;
     updateOllamaStatusIcon(false);
     return;
   }
 
-  const url = host.replace(/\/$/, "") + "/api/tags";
+  const { url, headers } = buildModelsRequest(conn);
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 5000);
 
   try {
-    const resp = await fetch(url, { signal: controller.signal });
+    const resp = await fetch(url, { headers, signal: controller.signal });
     clearTimeout(timeoutId);
     const wasDown = ollamaReachable === false;
     ollamaReachable = resp.ok;
@@ -300,7 +384,7 @@ async function checkOllamaStatus() {
 
     // Auto-resume background processor when Ollama comes back online
     if (ollamaReachable && wasDown && bgPaused) {
-      console.log("[ThunderClerk-AI] Ollama back online — resuming background processor");
+      console.log("[ThunderClerk-AI] LLM server back online — resuming background processor");
       bgPaused = false;
       scheduleNext();
     }
@@ -362,6 +446,7 @@ initOllamaStatusMonitor();
 // defined in utils.js, which is loaded before this script.
 
 function normalizeCalendarData(data) {
+  applySourceTimezone(data, ["startDate", "endDate"]);
   if (data.startDate) data.startDate = normalizeCalDate(data.startDate);
   if (data.endDate)   data.endDate   = normalizeCalDate(data.endDate);
   data.forceAllDay = !!data.forceAllDay; // schema requires this field
@@ -369,12 +454,13 @@ function normalizeCalendarData(data) {
 }
 
 function normalizeTaskData(data) {
-  if (data.dueDate)     data.dueDate     = normalizeCalDate(data.dueDate);
-  if (data.initialDate) data.initialDate = normalizeCalDate(data.initialDate);
   if (data.InitialDate) {
-    data.initialDate = normalizeCalDate(data.InitialDate);
+    data.initialDate = data.InitialDate;
     delete data.InitialDate;
   }
+  applySourceTimezone(data, ["dueDate", "initialDate"]);
+  if (data.dueDate)     data.dueDate     = normalizeCalDate(data.dueDate);
+  if (data.initialDate) data.initialDate = normalizeCalDate(data.initialDate);
   return data;
 }
 
@@ -382,47 +468,163 @@ function normalizeTaskData(data) {
 // buildSummarizeForwardPrompt, buildContactPrompt are defined in utils.js,
 // which is loaded before this script in the extension manifest.
 
-async function callOllama(host, model, prompt, options = {}) {
-  if (!isValidHostUrl(host)) {
-    throw new Error(`Invalid Ollama host URL: "${host}". Check the extension settings.`);
+// Resolve the LLM connection (provider, host, API key) from user settings.
+// The API key is kept in storage.local, which is never synced.
+async function llmConnection(settings) {
+  let apiKey = "";
+  try {
+    apiKey = (await browser.storage.local.get({ llmApiKey: "" })).llmApiKey;
+  } catch {}
+  return {
+    provider: (settings && settings.llmProvider) || DEFAULTS.llmProvider || "ollama",
+    host:     (settings && settings.ollamaHost)  || DEFAULT_HOST,
+    apiKey:   apiKey || "",
+  };
+}
+
+// Model for an action (see MODEL_ACTIONS): its per-action override if set,
+// otherwise the default model.
+function modelFor(settings, action) {
+  return resolveModel(settings && settings.modelOverrides, action, (settings && settings.ollamaModel) || DEFAULTS.ollamaModel);
+}
+
+// Error raised when the user cancels an in-flight request. Callers check
+// e.name === "CancelError" to skip the usual error notification.
+function cancelError() {
+  const e = new Error("Request cancelled.");
+  e.name = "CancelError";
+  return e;
+}
+
+// When onProgress is given the request is streamed and onProgress is called
+// with { text, tokens, tokensPerSec } as output arrives; the resolved value is
+// the full response text either way. Aborting signal cancels the request.
+async function callLLM(conn, model, prompt, options = {}, { onProgress = null, signal = null } = {}) {
+  const provider = getLLMProvider(conn.provider);
+  if (!isValidHostUrl(conn.host)) {
+    throw new Error(`Invalid ${provider.label} host URL: "${conn.host}". Check the extension settings.`);
   }
-  const url = host.replace(/\/$/, "") + "/api/generate";
-  if (DEBUG) console.log("[ThunderClerk-AI] Calling Ollama", { url, model, promptLen: prompt.length });
+  const { url, headers, body } = buildLLMRequest(conn, model, prompt, options);
+  const streaming = typeof onProgress === "function";
+  if (streaming) body.stream = true;
+  if (DEBUG) console.log("[ThunderClerk-AI] Calling LLM", { provider: conn.provider, url, model, promptLen: prompt.length, streaming });
+  if (signal && signal.aborted) throw cancelError();
 
   const controller = new AbortController();
+  let cancelled = false;
+  const onCancel = () => {
+    cancelled = true;
+    controller.abort();
+  };
+  if (signal) signal.addEventListener("abort", onCancel, { once: true });
   const timeoutMs  = prompt.length > 5000 ? 180_000 : 60_000;
-  const timeoutId  = setTimeout(() => controller.abort(), timeoutMs);
-
-  const body = { model, prompt, stream: false };
-  const ollamaOpts = {};
-  if (options.num_predict) ollamaOpts.num_predict = options.num_predict;
-  if (options.num_ctx) ollamaOpts.num_ctx = options.num_ctx;
-  if (options.temperature !== undefined) ollamaOpts.temperature = options.temperature;
-  if (Object.keys(ollamaOpts).length > 0) body.options = ollamaOpts;
-  if (options.format) body.format = options.format;
+  let timeoutId    = setTimeout(() => controller.abort(), timeoutMs);
+  // While streaming, the timeout measures silence rather than total time —
+  // a slow model that keeps producing tokens is never cut off.
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  };
 
-  let response;
   try {
-    response = await fetch(url, {
+    const response = await fetch(url, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers,
       body: JSON.stringify(body),
       signal: controller.signal,
     });
+
+    if (!response.ok) {
+      const body = await response.text();
+      // Servers without structured-output support reject schema formats —
+      // retry once in plain JSON mode and rely on the repair path instead.
+      // Other request errors are reported as they are.
+      if (options.format && typeof options.format === "object" && isSchemaFormatRejection(response.status, body)) {
+        console.warn(`[ThunderClerk-AI] Server rejected JSON schema format (HTTP ${response.status}) — retrying with plain JSON mode`);
+        return await callLLM(conn, model, prompt, { ...options, format: "json" }, { onProgress, signal });
+      }
+      throw new Error(`HTTP ${response.status}: ${body}`);
+    }
+
+    let text;
+    if (streaming) {
+      text = await readLLMStream(response, conn.provider, onProgress, resetTimeout);
+    } else {
+      const data = await response.json();
+      text = parseLLMResponse(conn.provider, data);
+    }
+    if (DEBUG) console.log("[ThunderClerk-AI] LLM response length:", text.length);
+    return text;
   } catch (e) {
-    clearTimeout(timeoutId);
-    if (e.name === "AbortError") throw new Error(`Ollama request timed out after ${timeoutMs / 1000} seconds.`);
+    if (cancelled) throw cancelError();
+    if (e.name === "AbortError") throw new Error(`${provider.label} request timed out after ${timeoutMs / 1000} seconds.`);
     throw e;
+  } finally {
+    clearTimeout(timeoutId);
+    if (signal) signal.removeEventListener("abort", onCancel);
   }
-  clearTimeout(timeoutId);
+}
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`HTTP ${response.status}: ${body}`);
-  }
-  const data = await response.json();
-  if (DEBUG) console.log("[ThunderClerk-AI] Ollama response length:", data.response?.length);
-  return data.response;
+// Read a streamed (NDJSON or SSE) response body line by line, reporting
+// progress after each network chunk.
+async function readLLMStream(response, providerName, onProgress, onActivity) {
+  const reader  = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let tokens = 0;
+  let firstTokenAt = null;
+  let final = null;
+
+  const consume = (line) => {
+    const chunk = parseStreamLine(providerName, line);
+    if (!chunk) return;
+    if (chunk.malformed) {
+      // One garbled line shouldn't throw away everything received so far
+      console.warn("[ThunderClerk-AI] Skipping malformed stream line:", line.slice(0, 200));
+      return;
+    }
+    if (chunk.text) {
+      text += chunk.text;
+      tokens++;
+      if (firstTokenAt === null) firstTokenAt = Date.now();
+    }
+    if (chunk.evalCount) final = chunk;
+  };
+
+  const report = () => {
+    // Prefer the server's own counts from the final chunk when available
+    const count = final ? final.evalCount : tokens;
+    let tokensPerSec = 0;
+    if (final && final.evalDurationNs) {
+      tokensPerSec = count / (final.evalDurationNs / 1e9);
+    } else if (firstTokenAt !== null) {
+      const elapsedS = (Date.now() - firstTokenAt) / 1000;
+      if (elapsedS > 0) tokensPerSec = count / elapsedS;
+    }
+    try {
+      onProgress({ text, tokens: count, tokensPerSec });
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Stream progress callback failed:", e.message);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    onActivity();
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) consume(line);
+    report();
+  }
+  buffer += decoder.decode();
+  if (buffer) {
+    consume(buffer);
+    report();
+  }
+  return text;
 }
 
 function previewPrompt(prompt) {
@@ -475,22 +677,38 @@ function notifyError(title, message) {
 
 const THINKING_ID = "thunderclerk-ai-thinking";
 const PROGRESS_INTERVAL_MS = 3000;
+const STREAM_UPDATE_INTERVAL_MS = 500;
 const STILL_WORKING_THRESHOLD_S = 60;
 
+// Clicking the notification cancels the request: pass notifier.signal to
+// callLLM.
 function createProgressNotifier(actionLabel, model) {
   let intervalId = null;
   let startTime = null;
+  let stats = null;
+  const cancelController = new AbortController();
+  const onClicked = (notificationId) => {
+    if (notificationId === THINKING_ID) cancelController.abort();
+  };
 
   function buildMessage(elapsedS) {
     const base = elapsedS >= STILL_WORKING_THRESHOLD_S
       ? `Still working\u2026 ${actionLabel}`
       : `Asking ${model} to ${actionLabel}\u2026`;
-    return elapsedS > 0 ? `${base} (${elapsedS}s)` : base;
+    const details = [];
+    if (elapsedS > 0) details.push(`${elapsedS}s`);
+    const tokenText = stats ? formatTokenStats(stats.tokens, stats.tokensPerSec) : "";
+    if (tokenText) details.push(tokenText);
+    const text = details.length > 0 ? `${base} (${details.join(" \u00b7 ")})` : base;
+    return `${text}\nClick to cancel.`;
   }
 
   return {
+    signal: cancelController.signal,
+
     start() {
       startTime = Date.now();
+      browser.notifications.onClicked.addListener(onClicked);
       browser.notifications.create(THINKING_ID, {
         type: "basic",
         title: "ThunderClerk-AI",
@@ -507,7 +725,17 @@ function createProgressNotifier(actionLabel, model) {
       }, PROGRESS_INTERVAL_MS);
     },
 
+    // Record streaming stats; shown on the next periodic refresh.
+    update(progress) {
+      stats = progress;
+    },
+
+    cancel() {
+      cancelController.abort();
+    },
+
     stop() {
+      browser.notifications.onClicked.removeListener(onClicked);
       if (intervalId !== null) {
         clearInterval(intervalId);
         intervalId = null;
@@ -517,28 +745,62 @@ function createProgressNotifier(actionLabel, model) {
   };
 }
 
-// --- Shared helper: call Ollama with a progress notification ---
+// --- Shared helper: call the LLM with a progress notification ---
 
-async function callOllamaWithNotification(host, model, prompt, actionLabel, settings, ollamaOptions = {}) {
+// Aborting `signal` cancels the request like a click on the notification.
+async function callLLMWithNotification(conn, model, prompt, actionLabel, settings, ollamaOptions = {}, { signal = null } = {}) {
   // Debug: show prompt preview if enabled
   if (settings && settings.debugPromptPreview) {
     await previewPrompt(prompt);
   }
+  if (signal && signal.aborted) throw cancelError();
 
   const progress = createProgressNotifier(actionLabel, model);
+  const onAbort = () => progress.cancel();
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
   progress.start();
 
   let rawResponse;
   try {
-    rawResponse = await callOllama(host, model, prompt, ollamaOptions);
+    rawResponse = await callLLM(conn, model, prompt, ollamaOptions, {
+      onProgress: (p) => progress.update(p),
+      signal: progress.signal,
+    });
   } finally {
     progress.stop();
+    if (signal) signal.removeEventListener("abort", onAbort);
   }
 
   const jsonStr = extractJSON(rawResponse);
   return JSON.parse(jsonStr);
 }
 
+// --- Calendar invites ---
+
+// Items from the iCalendar invite attached to a message, as returned by
+// calendarInviteItems(), or null when there is none. Also called from
+// processor.js.
+async function readCalendarInvite(messageId, full = null) {
+  if (!full) full = await browser.messages.getFull(messageId);
+  const texts = [];
+  for (const part of findCalendarParts(full)) {
+    let text = part.body;
+    if (!text && part.partName) {
+      try {
+        const file = await browser.messages.getAttachmentFile(messageId, part.partName);
+        text = await file.text();
+      } catch (e) {
+        console.warn("[ThunderClerk-AI] Could not read calendar attachment:", e.message);
+      }
+    }
+    if (text) texts.push(text);
+  }
+  if (texts.length === 0) return null;
+  const invite = calendarInviteItems(parseICalendar(texts.join("\n")));
+  const empty = !invite.events.length && !invite.tasks.length && !invite.cancelled.length;
+  return empty ? null : invite;
+}
+
 // --- Action handlers ---
 
 async function handleCalendar(message, emailBody, settings) {
@@ -548,8 +810,9 @@ async function handleCalendar(message, emailBody, settings) {
     if (cached && cached.raw) {
       const raw = cached.raw;
       if (Array.isArray(raw.events) && raw.events.length > 0) {
-        const evt = pickKeys(raw.events[0], CALENDAR_API_KEYS);
-        applyEventSettings(evt, message, emailBody, settings);
+        const evt = pickEventKeys(raw.events[0]);
+        applyEventSettings(evt, message, emailBody, settings, { fromInvite: raw.events[0].source === "invite" });
+        await notifyIfInCalendar(evt);
         await browser.CalendarTools.openCalendarDialog(evt);
         return;
       }
@@ -560,9 +823,34 @@ async function handleCalendar(message, emailBody, settings) {
     console.warn("[ThunderClerk-AI] Cache check failed, falling back to LLM:", e.message);
   }
 
+  // Meeting links and invites come from the raw message, not the model
+  let full = null;
+  let invite = null;
+  try {
+    full = await browser.messages.getFull(message.id);
+    invite = await readCalendarInvite(message.id, full);
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Could not check for a calendar invite:", e.message);
+  }
+  const meetingLinks = extractMeetingLinks(rawMessageText(full));
+
+  // An attached invite has the exact details — no need to ask the model
+  if (invite && invite.events.length > 0) {
+    const [inviteEvent] = attachMeetingLinks({ events: invite.events }, meetingLinks).events;
+    const evt = pickEventKeys(inviteEvent);
+    applyEventSettings(evt, message, emailBody, settings, { fromInvite: true });
+    await notifyIfInCalendar(evt);
+    await browser.CalendarTools.openCalendarDialog(evt);
+    return;
+  }
+  if (invite && invite.cancelled.length > 0) {
+    notifyError("Invite cancelled", `The attached invite cancels "${invite.cancelled[0].summary}" — there is nothing to add.`);
+    return;
+  }
+
   // Cache miss — fall back to on-demand LLM call
-  const host              = settings.ollamaHost        || DEFAULT_HOST;
-  const model             = settings.ollamaModel       || DEFAULTS.ollamaModel;
+  const conn              = await llmConnection(settings);
+  const model             = modelFor(settings, "calendar");
   const attendeesSource   = settings.attendeesSource   || "from_to";
   const attendeesStatic   = settings.attendeesStatic   || "";
   const calendarUseCategory = !!settings.calendarUseCategory;
@@ -583,11 +871,16 @@ async function handleCalendar(message, emailBody, settings) {
 
   const descriptionFormat = settings.descriptionFormat || "body_from_subject";
   const wantAiDescription = descriptionFormat === "ai_summary";
-  const prompt = buildCalendarPrompt(emailBody, subject, mailDatetime, currentDt, attendeeHints, categories, wantAiDescription);
+  const prompt = buildCalendarPrompt(prepareBodyForPrompt(emailBody), subject, mailDatetime, currentDt, attendeeHints, categories, wantAiDescription);
 
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract event details", settings, buildOllamaOptions(settings));
+  const extracted = await callLLMWithNotification(conn, model, prompt, "extract event details", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("calendar", { categories, includeDescription: wantAiDescription }),
+  });
+  const [parsed] = attachMeetingLinks({ events: [extracted] }, meetingLinks).events;
 
   applyEventSettings(parsed, message, emailBody, settings);
+  await notifyIfInCalendar(parsed);
 
   await browser.CalendarTools.openCalendarDialog(parsed);
 }
@@ -600,7 +893,7 @@ async function handleTask(message, emailBody, settings) {
       const raw = cached.raw;
       if (Array.isArray(raw.tasks) && raw.tasks.length > 0) {
         const task = pickKeys(raw.tasks[0], TASK_API_KEYS);
-        applyTaskSettings(task, message, emailBody, settings);
+        applyTaskSettings(task, message, emailBody, settings, { fromInvite: raw.tasks[0].source === "invite", emailPriority: raw.priority });
         await browser.CalendarTools.openTaskDialog(task);
         return;
       }
@@ -612,8 +905,8 @@ async function handleTask(message, emailBody, settings) {
   }
 
   // Cache miss — fall back to on-demand LLM call
-  const host              = settings.ollamaHost            || DEFAULT_HOST;
-  const model             = settings.ollamaModel           || DEFAULTS.ollamaModel;
+  const conn              = await llmConnection(settings);
+  const model             = modelFor(settings, "task");
   const taskUseCategory   = !!settings.taskUseCategory;
 
   const mailDatetime  = formatDatetime(message.date);
@@ -631,42 +924,73 @@ async function handleTask(message, emailBody, settings) {
 
   const taskDescriptionFormat = settings.taskDescriptionFormat || "body_from_subject";
   const wantAiDescription = taskDescriptionFormat === "ai_summary";
-  const prompt = buildTaskPrompt(emailBody, subject, mailDatetime, currentDt, categories, wantAiDescription);
+  const prompt = buildTaskPrompt(prepareBodyForPrompt(emailBody), subject, mailDatetime, currentDt, categories, wantAiDescription);
 
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract task details", settings, buildOllamaOptions(settings));
+  const parsed = await callLLMWithNotification(conn, model, prompt, "extract task details", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("task", { categories, includeDescription: wantAiDescription }),
+  });
 
   applyTaskSettings(parsed, message, emailBody, settings);
 
   await browser.CalendarTools.openTaskDialog(parsed);
 }
 
-async function handleDraftReply(message, emailBody, settings) {
-  // Cache-first: use cached reply if available from background processor
+// Reply options for a Draft Reply: the intent picked, plus the tone and
+// length presets from settings
+function replyOptionsFor(settings, intent) {
+  return normalizeReplyOptions({ intent, tone: settings.replyTone, length: settings.replyLength });
+}
+
+// A reply draft for the email from the reply prompt (no cache lookup).
+// Returns "" when the model wrote nothing.
+async function generateReply(message, emailBody, settings, options = {}) {
+  const conn   = await llmConnection(settings);
+  const model  = modelFor(settings, "reply");
+  const author = message.author || "";
+  const subject = message.subject || "";
+
+  let availability = "";
   try {
-    const cached = await cacheGet(message.id);
-    if (cached && cached.raw) {
-      const reply = (cached.raw.reply || "").trim();
-      if (reply) {
-        await openComposeWithReply(message, reply, settings);
+    availability = await inviteAvailability(await readCalendarInvite(message.id));
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Could not check for a calendar invite:", e.message);
+  }
+
+  const style = await loadStyleProfile();
+  const prompt = buildDraftReplyPrompt(prepareBodyForPrompt(emailBody), subject, author, availability, options, style);
+  const parsed = await callLLMWithNotification(conn, model, prompt, "draft a reply", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("reply"),
+  });
+  return (parsed.body || "").trim();
+}
+
+// options: { intent } — see REPLY_INTENTS. The cached reply is only the
+// default draft, so it's used when no intent or preset applies.
+async function handleDraftReply(message, emailBody, settings, { intent } = {}) {
+  const options = replyOptionsFor(settings, intent);
+
+  // Cache-first: use cached reply if available from background processor
+  if (Object.keys(options).length === 0) {
+    try {
+      const cached = await cacheGet(message.id);
+      if (cached && cached.raw) {
+        const reply = (cached.raw.reply || "").trim();
+        if (reply) {
+          await openComposeWithReply(message, reply, settings);
+          return;
+        }
+        notifyError("No reply generated", "The cached analysis did not produce a reply draft for this email.");
         return;
       }
-      notifyError("No reply generated", "The cached analysis did not produce a reply draft for this email.");
-      return;
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Cache check failed, falling back to LLM:", e.message);
     }
-  } catch (e) {
-    console.warn("[ThunderClerk-AI] Cache check failed, falling back to LLM:", e.message);
   }
 
   // Cache miss — fall back to on-demand LLM call
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
-  const author = message.author || "";
-  const subject = message.subject || "";
-
-  const prompt = buildDraftReplyPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "draft a reply", settings, buildOllamaOptions(settings));
-
-  const replyBody = (parsed.body || "").trim();
+  const replyBody = await generateReply(message, emailBody, settings, options);
   if (!replyBody) {
     notifyError("Empty reply", "The AI returned an empty reply body.");
     return;
@@ -701,13 +1025,17 @@ async function handleSummarizeForward(message, emailBody, settings) {
   }
 
   // Cache miss — fall back to on-demand LLM call
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+  const conn   = await llmConnection(settings);
+  const model  = modelFor(settings, "forward");
   const author = message.author || "";
   const subject = message.subject || "";
 
-  const prompt = buildSummarizeForwardPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "summarize the email", settings, buildOllamaOptions(settings));
+  const style = await loadStyleProfile();
+  const prompt = buildSummarizeForwardPrompt(prepareBodyForPrompt(emailBody), subject, author, style);
+  const parsed = await callLLMWithNotification(conn, model, prompt, "summarize the email", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("forward"),
+  });
 
   const summary = (parsed.summary || "").trim();
   if (!summary) {
@@ -730,12 +1058,35 @@ async function handleSummarizeForward(message, emailBody, settings) {
   await browser.compose.setComposeDetails(composeTab.id, { body: newBody });
 }
 
+// The contact prompt's result for one email (no cache lookup); aborting
+// `signal` cancels the request
+async function extractContactWithLLM(message, emailBody, settings, actionLabel = "extract contact info", signal = null) {
+  const conn   = await llmConnection(settings);
+  const model  = modelFor(settings, "contact");
+  const author = message.author || "";
+  const subject = message.subject || "";
+
+  // The signature goes to the prompt separately — it's where contact details live
+  const bodyParts = cleanEmailBody(emailBody);
+  const promptBody = formatBodyForPrompt(bodyParts, { includeSignature: false }) || emailBody;
+  const prompt = buildContactPrompt(promptBody, subject, author, bodyParts.signature);
+  return await callLLMWithNotification(conn, model, prompt, actionLabel, settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("contact"),
+  }, { signal });
+}
+
 async function handleExtractContact(message, emailBody, settings) {
   // Cache-first: use cached contact if available from background processor
   try {
     const cached = await cacheGet(message.id);
     if (cached && cached.raw) {
       const contacts = cached.raw.contacts;
+      if (Array.isArray(contacts) && contacts.length > 1) {
+        // Several people in one email — pick from the table rather than only the first
+        await handleBulkContacts([message], settings);
+        return;
+      }
       if (Array.isArray(contacts) && contacts.length > 0) {
         await browser.storage.local.set({
           pendingContact: contacts[0],
@@ -757,13 +1108,7 @@ async function handleExtractContact(message, emailBody, settings) {
   }
 
   // Cache miss — fall back to on-demand LLM call
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
-  const author = message.author || "";
-  const subject = message.subject || "";
-
-  const prompt = buildContactPrompt(emailBody, subject, author);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "extract contact info", settings, buildOllamaOptions(settings));
+  const parsed = await extractContactWithLLM(message, emailBody, settings);
 
   // Store extracted contact for the review popup to read
   await browser.storage.local.set({
@@ -801,8 +1146,8 @@ async function catalogEmail(message, emailBody, settings, full) {
   }
 
   // Cache miss — fall back to on-demand LLM call
-  const host  = settings.ollamaHost  || DEFAULT_HOST;
-  const model = settings.ollamaModel || DEFAULTS.ollamaModel;
+  const conn  = await llmConnection(settings);
+  const model = modelFor(settings, "catalog");
   const author  = message.author  || "";
   const subject = message.subject || "";
 
@@ -811,8 +1156,11 @@ async function catalogEmail(message, emailBody, settings, full) {
   const existingTagNames = existingTags.map(t => t.tag);
 
   const signals = extractEmailSignals(full, message);
-  const prompt = buildCatalogPrompt(emailBody, subject, author, existingTagNames, signals);
-  const parsed = await callOllamaWithNotification(host, model, prompt, "catalog email", settings, buildOllamaOptions(settings));
+  const prompt = buildCatalogPrompt(prepareBodyForPrompt(emailBody), subject, author, existingTagNames, signals);
+  const parsed = await callLLMWithNotification(conn, model, prompt, "catalog email", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("catalog"),
+  });
 
   const aiTags = parsed.tags;
   if (!Array.isArray(aiTags) || aiTags.length === 0) {
@@ -864,7 +1212,10 @@ async function _applyTags(message, aiTags, existingTags, { silent = false } = {}
 
 // --- Shared helpers for applying settings to extracted event/task data ---
 
-function applyEventSettings(parsed, message, emailBody, settings) {
+// Events taken from an attached invite ({ fromInvite: true }) keep their
+// dates, attendees and description as sent; only the calendar and the
+// description for invites without one come from the settings.
+function applyEventSettings(parsed, message, emailBody, settings, { fromInvite = false } = {}) {
   const descriptionFormat = settings.descriptionFormat || "body_from_subject";
   const attendeesSource   = settings.attendeesSource   || "from_to";
   const attendeesStatic   = settings.attendeesStatic   || "";
@@ -874,30 +1225,64 @@ function applyEventSettings(parsed, message, emailBody, settings) {
 
   normalizeCalendarData(parsed);
 
-  // Use the email's year as the reference for advancePastYear, not today's year.
-  // This preserves correct dates when processing old emails.
-  const emailYear = message.date ? new Date(message.date).getFullYear() : new Date().getFullYear();
-  const refYear = emailYear;
-  if (parsed.startDate) parsed.startDate = advancePastYear(parsed.startDate, refYear);
-  if (parsed.endDate)   parsed.endDate   = advancePastYear(parsed.endDate,   refYear);
+  if (!fromInvite) {
+    // Use the email's year as the reference for advancePastYear, not today's year.
+    // This preserves correct dates when processing old emails.
+    const emailYear = message.date ? new Date(message.date).getFullYear() : new Date().getFullYear();
+    const refYear = emailYear;
+    if (parsed.startDate) parsed.startDate = advancePastYear(parsed.startDate, refYear);
+    if (parsed.endDate)   parsed.endDate   = advancePastYear(parsed.endDate,   refYear);
+  }
 
   if (!parsed.summary) parsed.summary = subject;
 
-  applyCalendarDefaults(parsed);
+  // Invites always carry an end; a timed event at midnight isn't all-day
+  if (!fromInvite) applyCalendarDefaults(parsed);
+
+  // All-day dates are floating; a zone only applies to timed events
+  if (parsed.forceAllDay) delete parsed.timezone;
+  parsed.use_timezone = !!parsed.timezone;
+  parsed.convert_timezone = parsed.use_timezone && settings.timezoneMode === "convert";
+
+  // The model's repeat rule becomes an RRULE once all-day is settled
+  // (UNTIL must match the start's type); invites already carry one
+  if (parsed.recurrence) {
+    if (!parsed.rrule) parsed.rrule = buildRRule(parsed.recurrence, { allDay: !!parsed.forceAllDay });
+    delete parsed.recurrence;
+  }
+
+  // Reminder the email implies (or the invite's), else the category's rule
+  const reminder = reminderForEvent(parsed, settings.reminderRules);
+  delete parsed.reminderMinutes;
+  if (reminder !== null) parsed.alarms = [reminder];
+  if (parsed.showAs) {
+    parsed.transp = parsed.showAs === "free" ? "TRANSPARENT" : "OPAQUE";
+    delete parsed.showAs;
+  }
 
-  if (descriptionFormat === "ai_summary") {
+  if (descriptionFormat === "ai_summary" || (fromInvite && parsed.description)) {
     if (!parsed.description) parsed.description = subject;
   } else {
     const description = buildDescription(emailBody, author, subject, descriptionFormat);
     if (description) parsed.description = description;
   }
 
+  // Meeting link: in the URL field and, for clients that don't show it, the description
+  if (parsed.url && !(parsed.description || "").includes(parsed.url)) {
+    parsed.description = [parsed.description, `Join online: ${parsed.url}`].filter(Boolean).join("\n\n");
+  }
+
   if (defaultCalendar) parsed.calendar_name = defaultCalendar;
 
-  if (attendeesSource === "static") {
-    parsed.attendees = attendeesStatic ? [attendeesStatic] : [];
-  } else if (attendeesSource === "none") {
-    parsed.attendees = [];
+  // Stored on the item so the email can be opened from the calendar
+  if (message.headerMessageId) parsed.message_id = message.headerMessageId;
+
+  if (!fromInvite) {
+    if (attendeesSource === "static") {
+      parsed.attendees = attendeesStatic ? [attendeesStatic] : [];
+    } else if (attendeesSource === "none") {
+      parsed.attendees = [];
+    }
   }
 
   // iCal all-day events use an exclusive DTEND
@@ -908,7 +1293,10 @@ function applyEventSettings(parsed, message, emailBody, settings) {
   return parsed;
 }
 
-function applyTaskSettings(parsed, message, emailBody, settings) {
+// Tasks from an attached invite ({ fromInvite: true }) keep their description.
+// Without a priority of their own, tasks take emailPriority (the analysis's
+// "urgent" / "action-needed" / ...) unless their wording says otherwise.
+function applyTaskSettings(parsed, message, emailBody, settings, { fromInvite = false, emailPriority = null } = {}) {
   const taskDescriptionFormat = settings.taskDescriptionFormat || "body_from_subject";
   const taskDefaultDue        = settings.taskDefaultDue        || "none";
   const author                = message.author || "";
@@ -925,13 +1313,29 @@ function applyTaskSettings(parsed, message, emailBody, settings) {
     parsed.dueDate = `${y}${mo}${d}T120000`;
   }
 
-  if (taskDescriptionFormat === "ai_summary") {
+  parsed.use_timezone = !!parsed.timezone;
+  parsed.convert_timezone = parsed.use_timezone && settings.timezoneMode === "convert";
+
+  // Priority, status and percent complete as the API takes them (before the
+  // description is replaced, so its wording still counts)
+  const priority = taskPriority(parsed, emailPriority);
+  const { status, percentComplete } = taskProgress(parsed);
+  delete parsed.priority;
+  delete parsed.status;
+  delete parsed.percentComplete;
+  if (priority) parsed.priority = priority;
+  if (status) parsed.status = status;
+  if (percentComplete !== undefined) parsed.percentComplete = percentComplete;
+
+  if (taskDescriptionFormat === "ai_summary" || (fromInvite && parsed.description)) {
     if (!parsed.description) parsed.description = subject;
   } else {
     const taskDescription = buildDescription(emailBody, author, subject, taskDescriptionFormat);
     if (taskDescription) parsed.description = taskDescription;
   }
 
+  if (message.headerMessageId) parsed.message_id = message.headerMessageId;
+
   return parsed;
 }
 
@@ -1021,16 +1425,12 @@ function openAnalyzeDialog(analysis) {
   return new Promise((resolve) => {
     browser.storage.local.set({ pendingAnalysis: analysis }).then(() => {
       const listener = (msg) => {
-        if (!msg || !msg.analyzeAction) return;
-        // Ignore messages handled by the scoped listener in handleAutoAnalyze
-        if (msg.analyzeAction === "openItem" || msg.analyzeAction === "useReply" || msg.analyzeAction === "dialogReady") return;
+        // Messages handled by the scoped listener in handleAutoAnalyze are ignored
+        const result = analyzeDialogResult(msg);
+        if (result === undefined) return;
         browser.runtime.onMessage.removeListener(listener);
         browser.storage.local.remove("pendingAnalysis").catch(() => {});
-        if (msg.analyzeAction === "done") {
-          resolve(msg.selections);
-        } else {
-          resolve(null);
-        }
+        resolve(result);
       };
       browser.runtime.onMessage.addListener(listener);
 
@@ -1047,7 +1447,8 @@ function openAnalyzeDialog(analysis) {
             browser.windows.onRemoved.removeListener(onRemoved);
             browser.runtime.onMessage.removeListener(listener);
             browser.storage.local.remove("pendingAnalysis").catch(() => {});
-            analyzeWindowId = null;
+            // A replacement window may already be open — only clear our own id
+            if (analyzeWindowId === win.id) analyzeWindowId = null;
             resolve(null);
           }
         };
@@ -1117,11 +1518,13 @@ function repairAnalysisJSON(raw) {
 // so extra model-generated fields (like "preview") don't trigger type errors.
 const CALENDAR_API_KEYS = new Set([
   "startDate", "endDate", "summary", "forceAllDay", "attendees",
-  "timezone", "use_timezone", "description", "calendar_name", "category",
+  "timezone", "use_timezone", "convert_timezone", "description", "calendar_name", "category",
+  "location", "url", "rrule", "alarms", "transp", "message_id",
 ]);
 const TASK_API_KEYS = new Set([
-  "dueDate", "summary", "initialDate", "timezone", "use_timezone",
-  "description", "calendar_name", "category",
+  "dueDate", "summary", "initialDate", "timezone", "use_timezone", "convert_timezone",
+  "description", "calendar_name", "category", "priority", "status", "percentComplete",
+  "message_id",
 ]);
 
 function pickKeys(obj, allowedKeys) {
@@ -1132,11 +1535,181 @@ function pickKeys(obj, allowedKeys) {
   return result;
 }
 
+// Like pickKeys, but keeps the extracted fields applyEventSettings turns
+// into API fields (repeat rule → rrule, reminder → alarms, showAs → transp).
+function pickEventKeys(evt) {
+  const copy = pickKeys(evt, CALENDAR_API_KEYS);
+  for (const key of ["recurrence", "reminderMinutes", "showAs"]) {
+    if (evt[key] != null) copy[key] = evt[key];
+  }
+  return copy;
+}
+
+// Add prepared events and tasks (settings already applied) straight to the
+// calendar, without dialogs. Items marked `existing` or already `created`
+// are skipped. onItem(group, index, result) is called after each one added.
+// Returns { created, failed, skipped, error } — error is the first failure.
+async function createFoundItems(events = [], tasks = [], onItem = null) {
+  const outcome = { created: 0, failed: 0, skipped: 0, error: null };
+  const run = async (group, items, create) => {
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].existing || items[i].created) {
+        outcome.skipped++;
+        continue;
+      }
+      let res;
+      try {
+        res = await create(items[i]);
+      } catch (e) {
+        res = { result: false, error: e.message };
+      }
+      if (res && res.result) {
+        outcome.created++;
+        items[i].created = { id: res.id, calendar_id: res.calendar_id, calendar: res.calendar };
+      } else {
+        outcome.failed++;
+        if (!outcome.error) outcome.error = res?.error || "Could not create the item";
+      }
+      if (onItem) onItem(group, i, res);
+    }
+  };
+  await run("events", events, evt => browser.CalendarTools.createEvent(pickKeys(evt, CALENDAR_API_KEYS)));
+  await run("tasks", tasks, task => browser.CalendarTools.createTask(pickKeys(task, TASK_API_KEYS)));
+  return outcome;
+}
+
+// "Added 3 items to the calendar" / "Added 2 items; 1 could not be added: …"
+// / "Added 1 item to the calendar; 2 were already there"
+function notifyItemsCreated({ created, failed, skipped = 0, error }) {
+  const plural = n => `${n} item${n === 1 ? "" : "s"}`;
+  if (failed > 0) {
+    notifyError("Add items", `Added ${plural(created)}; ${failed} could not be added: ${error}`);
+    return;
+  }
+  const already = skipped > 0 ? `; ${skipped} ${skipped === 1 ? "was" : "were"} already there` : "";
+  browser.notifications.create({
+    type: "basic",
+    title: "ThunderClerk-AI",
+    message: `Added ${plural(created)} to the calendar${already}`,
+  }).catch(() => {});
+}
+
+// Mark events that are already in the calendar: `created` when it was added
+// from this email before (see findCreatedEvent), otherwise `existing` is the
+// matching item from CalendarTools.findEvents; `existingText` describes it.
+// Searches in the event's own zone so the start times compare as written.
+async function markExistingEvents(events = []) {
+  for (const evt of events) {
+    if (!evt.startDate) continue;
+    try {
+      const query = eventSearchWindow(evt.startDate);
+      if (evt.use_timezone) query.timezone = evt.timezone;
+      const found = await browser.CalendarTools.findEvents(query);
+      const own = findCreatedEvent(evt, found);
+      const match = own ? null : findDuplicateEvent(evt, found);
+      if (own) {
+        evt.created = { id: own.id, calendar_id: own.calendar_id, calendar: own.calendar };
+        evt.existingText = describeExistingEvent(own);
+      } else if (match) {
+        evt.existing = match;
+        evt.existingText = describeExistingEvent(match);
+      }
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not check the calendar for duplicates:", e.message);
+    }
+  }
+  return events;
+}
+
+// Mark tasks added from this email before as `created` (see matchCreatedTasks).
+async function markCreatedTasks(tasks = []) {
+  const messageId = tasks.find(task => task.message_id)?.message_id;
+  if (!messageId) return tasks;
+  try {
+    const found = await browser.CalendarTools.findTasks({ message_id: messageId });
+    matchCreatedTasks(tasks, found).forEach((own, i) => {
+      if (own) tasks[i].created = { id: own.id, calendar_id: own.calendar_id, calendar: own.calendar };
+    });
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Could not check the task list for added tasks:", e.message);
+  }
+  return tasks;
+}
+
+// Check timed events against the user's busy times. Sets evt.conflicts (the
+// overlapping busy intervals, empty when free) and evt.conflictText.
+async function markConflicts(events = []) {
+  for (const evt of events) {
+    if (!evt.startDate || evt.forceAllDay || !evt.startDate.includes("T")) continue;
+    try {
+      const query = eventSearchWindow(evt.startDate);
+      if (evt.endDate && normalizeCalDate(evt.endDate) > query.endDate) {
+        query.endDate = eventSearchWindow(evt.endDate).endDate;
+      }
+      if (evt.use_timezone) query.timezone = evt.timezone;
+      const busy = await browser.CalendarTools.getBusyIntervals(query);
+      evt.conflicts = findConflicts(evt, busy, [evt.existing?.id, evt.created?.id, evt.uid].filter(Boolean));
+      evt.conflictText = describeConflicts(evt.conflicts);
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not check the calendar for conflicts:", e.message);
+    }
+  }
+  return events;
+}
+
+// The user's writing style profile text for the reply and forward prompts,
+// "" when none has been learned or written. Also called from processor.js.
+async function loadStyleProfile() {
+  try {
+    const { styleProfile } = await browser.storage.local.get({ styleProfile: null });
+    return (styleProfile && styleProfile.text) || "";
+  } catch {
+    return "";
+  }
+}
+
+// Free/busy note for the reply prompts about the events of an attached
+// invite; "" without an invite or when the calendar couldn't be checked.
+async function inviteAvailability(invite) {
+  if (!invite || invite.events.length === 0) return "";
+  const events = invite.events.map(evt => ({ ...evt, use_timezone: !!evt.timezone }));
+  await markConflicts(events);
+  return availabilityNote(events);
+}
+
+// "Add to Calendar" on an event that looks like one already there: say so
+// before the dialog opens. The match is only by start and a similar title,
+// so the dialog still opens and the user decides whether to save a copy.
+async function notifyIfInCalendar(evt) {
+  await markExistingEvents([evt]);
+  if (!evt.existing && !evt.created) return;
+  browser.notifications.create({
+    type: "basic",
+    title: "ThunderClerk-AI — Possibly in calendar",
+    message: `${evt.existingText} may already be in your calendar. Close the dialog without saving to keep just that one, or use Auto Analyze to update it.`,
+  }).catch(() => {});
+}
+
+// Apply an extracted event's times and details to the calendar event it
+// duplicates, instead of adding a new one. A repeating event only has the
+// matched occurrence changed.
+async function updateExistingEvent(evt) {
+  const cal_data = {
+    ...pickKeys(evt, CALENDAR_API_KEYS),
+    id: evt.existing.id,
+    calendar_id: evt.existing.calendar_id,
+  };
+  if (evt.existing.recurrence_id) cal_data.recurrence_id = evt.existing.recurrence_id;
+  return browser.CalendarTools.updateEvent(cal_data);
+}
+
 // Prepare analysis data from a cached combined extraction result.
 // Applies current user settings at display time so cached data stays
 // settings-independent.
 function prepareCachedAnalysis(cached, message, emailBody, settings) {
-  const raw = cached.raw;
+  // Entries cached before validation existed may still hold stray types;
+  // re-validating is a no-op for entries that already passed.
+  const raw = validateAnalysis(cached.raw).data;
   const analysis = {
     summary: raw.summary || message.subject || "(no summary)",
     _fromCache: true,
@@ -1148,9 +1721,10 @@ function prepareCachedAnalysis(cached, message, emailBody, settings) {
   // Events — strip to API-safe keys, keep preview for display, apply settings
   if (Array.isArray(raw.events) && raw.events.length > 0) {
     analysis.events = raw.events.map(evt => {
-      const copy = pickKeys(evt, CALENDAR_API_KEYS);
+      const copy = pickEventKeys(evt);
       copy.preview = evt.preview || "";
-      applyEventSettings(copy, message, emailBody, settings);
+      copy.recurrenceText = describeRecurrence(evt.recurrence || parseRRule(evt.rrule));
+      applyEventSettings(copy, message, emailBody, settings, { fromInvite: evt.source === "invite" });
       return copy;
     });
   }
@@ -1160,7 +1734,7 @@ function prepareCachedAnalysis(cached, message, emailBody, settings) {
     analysis.tasks = raw.tasks.map(task => {
       const copy = pickKeys(task, TASK_API_KEYS);
       copy.preview = task.preview || "";
-      applyTaskSettings(copy, message, emailBody, settings);
+      applyTaskSettings(copy, message, emailBody, settings, { fromInvite: task.source === "invite", emailPriority: raw.priority });
       return copy;
     });
   }
@@ -1185,9 +1759,262 @@ function prepareCachedAnalysis(cached, message, emailBody, settings) {
   analysis._cachedTags = Array.isArray(raw.tags) ? raw.tags : [];
   analysis._cachedForwardSummary = (raw.forwardSummary || "").trim();
 
+  // Validation warnings per rendered item, so the dialog can flag them
+  if (Array.isArray(cached.warnings) && cached.warnings.length > 0) {
+    analysis._itemWarnings = {};
+    for (const group of ["events", "tasks", "contacts"]) {
+      const items = analysis[group] || [];
+      analysis._itemWarnings[group] = items.map((_, idx) =>
+        itemWarnings(cached.warnings, group, idx).map(w => w.message)
+      );
+    }
+  }
+
   return analysis;
 }
 
+// --- Multi-pass analysis ---
+//
+// Alternative to the single combined prompt for smaller models. A short
+// triage pass returns summary, priority and which item types the email
+// contains; the focused builders then run only for the sections that apply
+// (sequentially, or concurrently when multipassConcurrent is set). Results
+// merge into the same shape the combined prompt produces.
+// Also called from processor.js (loaded before this script, runs after).
+
+const MULTIPASS_MIN_CTX     = 8192;
+const MULTIPASS_MIN_PREDICT = 2048;
+
+// input: { body, subject, author, mailDatetime, currentDt, attendeeHints,
+//          categories, existingTags, signals, invite?, availability?, style? }
+// Returns the merged result, or null if the triage pass was unreadable.
+// Focused passes with unreadable output are logged and left out. The
+// calendar pass is skipped when an attached invite already has the event.
+async function runMultiPassAnalysis(conn, model, input, settings, { signal = null, onProgress = null, onSection = null, preview = false } = {}) {
+  const { body, subject, author, mailDatetime, currentDt, attendeeHints, categories, existingTags, signals, invite, availability, style } = input;
+  const baseOpts = autoAnalyzeOpts(settings, MULTIPASS_MIN_CTX, MULTIPASS_MIN_PREDICT);
+
+  // Each pass is routed by its MODEL_ACTIONS key `action`, which is its
+  // schema kind except for the item passes. A pass's own override wins over
+  // `model` — the "analyze" or "background" model the caller picked; passes
+  // without one use `model`.
+  const run = async (prompt, kind, schemaOpts, action = kind) => {
+    if (preview) await previewPrompt(prompt);
+    const passModel = resolveModel(settings.modelOverrides, action, model);
+    const raw = await callLLM(conn, passModel, prompt, {
+      ...baseOpts,
+      format: buildOutputSchema(kind, schemaOpts),
+    }, { signal, onProgress });
+    try {
+      return JSON.parse(extractJSON(raw));
+    } catch (e) {
+      throw new Error(`invalid JSON in ${kind} response: ${e.message}`);
+    }
+  };
+
+  let triage;
+  try {
+    triage = await run(buildTriagePrompt(body, subject, author, signals), "triage");
+  } catch (e) {
+    if (e.message.startsWith("invalid JSON")) {
+      console.warn("[ThunderClerk-AI] Multi-pass triage failed:", e.message);
+      return null;
+    }
+    throw e;
+  }
+
+  const result = { summary: triage.summary, priority: triage.priority };
+  if (onSection) onSection({ ...result });
+
+  const passes = [];
+  const inviteHasEvent = !!invite && (invite.events.length > 0 || invite.cancelled.length > 0);
+  // Item passes ask for every item of their kind, like the combined prompt
+  const itemPass = (section, action) => [section, async () => {
+    const prompt = buildItemPassPrompt(section, body, subject, author, mailDatetime, currentDt, attendeeHints, categories);
+    return itemPassResult(section, await run(prompt, section, { categories }, action));
+  }];
+  if (triage.hasEvent && !inviteHasEvent) passes.push(itemPass("events", "calendar"));
+  if (triage.hasTask) passes.push(itemPass("tasks", "task"));
+  if (triage.hasContact) passes.push(itemPass("contacts", "contact"));
+  passes.push(["tags", async () => {
+    const parsed = await run(buildCatalogPrompt(body, subject, author, existingTags, signals), "catalog");
+    return parsed.tags;
+  }]);
+  passes.push(["reply", async () => {
+    const parsed = await run(buildDraftReplyPrompt(body, subject, author, availability, {}, style), "reply");
+    return parsed.body;
+  }]);
+  passes.push(["forwardSummary", async () => {
+    const parsed = await run(buildSummarizeForwardPrompt(body, subject, author, style), "forward");
+    return parsed.summary;
+  }]);
+
+  const runPass = async ([key, fn]) => {
+    try {
+      result[key] = await fn();
+      if (onSection) onSection({ ...result });
+    } catch (e) {
+      // Unreadable output only loses this section; connection errors and
+      // cancellation abort the whole analysis
+      if (!e.message.startsWith("invalid JSON")) throw e;
+      console.warn(`[ThunderClerk-AI] Multi-pass ${key} pass failed:`, e.message);
+    }
+  };
+
+  // Prompt previews share one window, so they force sequential passes
+  if (settings.multipassConcurrent && !preview) {
+    await Promise.all(passes.map(runPass));
+  } else {
+    for (const pass of passes) await runPass(pass);
+  }
+  return result;
+}
+
+// --- Chunked analysis ---
+//
+// Bodies longer than one prompt can hold (see analysisBodyBudget) are split
+// into chunks instead of being cut off: one extraction per chunk, items
+// merged and deduplicated, then a digest prompt over the chunk summaries for
+// summary, priority, tags, reply and forward summary. Used in both analysis
+// modes; returns the same shape as the combined prompt.
+// Also called from processor.js.
+
+const CHUNK_MAX_PARTS = 8;
+
+// input: as for runMultiPassAnalysis, plus threadContext. chunks come from
+// splitIntoChunks(). Returns the merged result, or null if no chunk was
+// readable.
+async function runChunkedAnalysis(conn, model, input, chunks, settings, { minCtx, minPredict, signal = null, onProgress = null, onSection = null, preview = false } = {}) {
+  const { subject, author, mailDatetime, currentDt, attendeeHints, categories, existingTags, signals, threadContext, availability, style } = input;
+  const baseOpts = autoAnalyzeOpts(settings, minCtx, minPredict);
+
+  const run = async (prompt, kind) => {
+    if (preview) await previewPrompt(prompt);
+    const raw = await callLLM(conn, model, prompt, {
+      ...baseOpts,
+      format: buildOutputSchema(kind, { categories }),
+    }, { signal, onProgress });
+    try {
+      return JSON.parse(extractJSON(raw));
+    } catch (e) {
+      const repaired = repairAnalysisJSON(raw);
+      if (repaired) return repaired;
+      throw new Error(`invalid JSON in ${kind} response: ${e.message}`);
+    }
+  };
+
+  // Very long emails are capped — the summary says so rather than
+  // dropping the rest silently
+  const parts = chunks.slice(0, CHUNK_MAX_PARTS);
+  const results = new Array(parts.length).fill(null);
+  const reportItems = () => {
+    if (!onSection) return;
+    const { events, tasks, contacts } = mergeChunkResults(results);
+    onSection({ events, tasks, contacts });
+  };
+  const runPart = async (chunk, i) => {
+    try {
+      results[i] = await run(buildChunkExtractionPrompt(
+        chunk, i, chunks.length, subject, author, mailDatetime, currentDt, attendeeHints, categories
+      ), "chunk");
+      reportItems();
+    } catch (e) {
+      // Unreadable output only loses this part; connection errors and
+      // cancellation abort the whole analysis
+      if (!e.message.startsWith("invalid JSON")) throw e;
+      console.warn(`[ThunderClerk-AI] Chunk ${i + 1}/${chunks.length} failed:`, e.message);
+    }
+  };
+
+  if (settings.multipassConcurrent && !preview) {
+    await Promise.all(parts.map(runPart));
+  } else {
+    for (let i = 0; i < parts.length; i++) await runPart(parts[i], i);
+  }
+
+  if (results.every(r => r === null)) return null;
+
+  const merged = mergeChunkResults(results);
+  const previews = [...merged.events, ...merged.tasks]
+    .map(item => item.preview || item.summary)
+    .filter(Boolean);
+
+  let digest = {};
+  if (merged.summaries.length > 0) {
+    try {
+      digest = await run(buildChunkDigestPrompt(
+        merged.summaries, previews, subject, author, existingTags, signals, threadContext, availability, style
+      ), "digest");
+    } catch (e) {
+      if (!e.message.startsWith("invalid JSON")) throw e;
+      console.warn("[ThunderClerk-AI] Chunk digest failed:", e.message);
+    }
+  }
+
+  let summary = digest.summary || merged.summaries.join(" ");
+  if (chunks.length > parts.length) {
+    summary += `\n\n(Only the first ${parts.length} of ${chunks.length} parts of this very long email were analyzed.)`;
+  }
+  const result = {
+    summary,
+    priority: digest.priority,
+    events: merged.events,
+    tasks: merged.tasks,
+    contacts: merged.contacts,
+    tags: digest.tags,
+    reply: digest.reply,
+    forwardSummary: digest.forwardSummary,
+  };
+  if (onSection) onSection({ ...result });
+  return result;
+}
+
+// --- Thread context ---
+//
+// Replies are analyzed together with the earlier messages of their
+// conversation, found by the Message-IDs in References / In-Reply-To.
+// Also called from processor.js.
+
+const THREAD_MAX_MESSAGES = 8;
+
+// Earlier messages of the conversation, oldest first, as { author, date, body }.
+// Ancestors that aren't in any local folder are skipped.
+async function fetchThreadMessages(ancestors) {
+  const messages = [];
+  for (const headerMessageId of ancestors.slice(-THREAD_MAX_MESSAGES)) {
+    try {
+      const list = await browser.messages.query({ headerMessageId });
+      const msg = list.messages[0];
+      if (!msg) continue;
+      const full = await browser.messages.getFull(msg.id);
+      const body = extractTextBody(full);
+      if (body) messages.push({ author: msg.author || "", date: msg.date, body });
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not load thread message:", e.message);
+    }
+  }
+  messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+  return messages;
+}
+
+// Returns { body, threadContext, threadKey } for an analysis.
+// body is the cleaned prompt body (see cleanEmailBody); when earlier
+// messages are found it loses its quoted history, since the same text is
+// now in threadContext.
+async function prepareThreadContext(full, body, settings) {
+  const { ancestors, threadKey } = threadInfo(full);
+  let threadContext = "";
+  if (settings.includeThread !== false && ancestors.length > 0) {
+    threadContext = buildThreadContext(await fetchThreadMessages(ancestors));
+  }
+  const parts = cleanEmailBody(body);
+  return {
+    body: formatBodyForPrompt(parts, { includeQuoted: !threadContext }) || body,
+    threadContext,
+    threadKey,
+  };
+}
+
 async function handleAutoAnalyze(message, emailBody, settings, full) {
   // --- Cache-first path: serve instantly from background processor cache ---
   try {
@@ -1199,20 +2026,36 @@ async function handleAutoAnalyze(message, emailBody, settings, full) {
     console.warn("[ThunderClerk-AI] Cache check failed, falling back to live:", e.message);
   }
 
-  // --- Cache miss: run single combined prompt (same as background processor) ---
-  const host   = settings.ollamaHost  || DEFAULT_HOST;
-  const model  = settings.ollamaModel || DEFAULTS.ollamaModel;
+  // --- Cache miss: run the combined prompt, multi-pass or chunked analysis (same as background processor) ---
+  const conn   = await llmConnection(settings);
+  const model  = modelFor(settings, "analyze");
   const author = message.author || "";
   const subject = message.subject || "";
   const mailDatetime = formatDatetime(message.date);
   const currentDt    = currentDatetime();
 
-  const MAX_ANALYSIS_BODY = 12000;
-  let analysisBody = emailBody;
-  if (analysisBody.length > MAX_ANALYSIS_BODY) {
-    analysisBody = analysisBody.slice(0, MAX_ANALYSIS_BODY) +
-      "\n\n[… email truncated — there may be additional items beyond this point]";
+  // Refresh and Bulk Triage don't pass the full message along
+  if (!full) {
+    try { full = await browser.messages.getFull(message.id); } catch {}
+  }
+  const thread = await prepareThreadContext(full, emailBody, settings);
+  const analysisBody = thread.body;
+  let invite = null;
+  try {
+    invite = await readCalendarInvite(message.id, full);
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Could not check for a calendar invite:", e.message);
   }
+  const availability = await inviteAvailability(invite);
+  const style = await loadStyleProfile();
+
+  // Bodies past what the context window holds are analyzed in chunks
+  const multiPass = settings.analysisMode === "multipass";
+  const minCtx     = multiPass ? MULTIPASS_MIN_CTX : 16384;
+  const minPredict = multiPass ? MULTIPASS_MIN_PREDICT : 16384;
+  const budget = analysisBodyBudget(Math.max(settings.numCtx || 0, minCtx), thread.threadContext.length);
+  const chunks = splitIntoChunks(analysisBody, budget);
+  const chunked = chunks.length > 1;
 
   const attendeesSource = settings.attendeesSource || "from_to";
   const attendeesStatic = settings.attendeesStatic || "";
@@ -1229,56 +2072,130 @@ async function handleAutoAnalyze(message, emailBody, settings, full) {
   } catch {}
 
   const signals = extractEmailSignals(full, message);
-  const prompt = buildCombinedExtractionPrompt(
-    analysisBody, subject, author, mailDatetime, currentDt,
-    attendeeHints, categories, existingTags, signals
-  );
-
-  if (settings && settings.debugPromptPreview) {
-    await previewPrompt(prompt);
+  let prompt = null;
+  if (!multiPass && !chunked) {
+    prompt = buildCombinedExtractionPrompt(
+      analysisBody, subject, author, mailDatetime, currentDt,
+      attendeeHints, categories, existingTags, signals, thread.threadContext, availability, style
+    );
+    if (settings && settings.debugPromptPreview) {
+      await previewPrompt(prompt);
+    }
   }
 
+  // Open the dialog straight away in streaming mode so sections fill in as
+  // the model writes them; it is replaced by the full dialog once cached.
+  let liveDialogClosed = false;
+  openAnalyzeDialog({ _streaming: true, _subject: subject, _author: author })
+    .then(() => { liveDialogClosed = true; });
+  const closeLiveDialog = () => {
+    if (!liveDialogClosed && analyzeWindowId !== null) {
+      browser.windows.remove(analyzeWindowId).catch(() => {});
+    }
+  };
+
   const progress = createProgressNotifier("analyze the email", model);
   progress.start();
 
-  let rawResponse;
+  // Cancel button in the live dialog
+  const cancelListener = (msg) => {
+    if (msg && msg.analyzeAction === "cancel") progress.cancel();
+  };
+  browser.runtime.onMessage.addListener(cancelListener);
+  // Keep the background queue from competing for the model meanwhile
+  bgProcessorSetManualFlag(true);
+
+  let lastSentAt = 0;
+  let lastSectionKeys = "";
+  const onProgress = (p) => {
+    progress.update(p);
+    const now = Date.now();
+    if (now - lastSentAt < STREAM_UPDATE_INTERVAL_MS) return;
+    lastSentAt = now;
+    const update = { analyzeStream: true, stats: formatTokenStats(p.tokens, p.tokensPerSec) };
+    // Multi-pass and chunked output is per section — sections arrive via onSection instead
+    if (!multiPass && !chunked) {
+      const sections = extractCompletedSections(p.text);
+      const sectionKeys = Object.keys(sections).join(",");
+      if (sectionKeys !== lastSectionKeys) {
+        lastSectionKeys = sectionKeys;
+        update.sections = sections;
+      }
+    }
+    browser.runtime.sendMessage(update).catch(() => {});
+  };
+  const onSection = (sections) => {
+    browser.runtime.sendMessage({ analyzeStream: true, sections }).catch(() => {});
+  };
+
+  let rawResponse = null;
+  let parsed = null;
+  const input = {
+    body: withThreadContext(analysisBody, thread.threadContext), subject, author,
+    mailDatetime, currentDt, attendeeHints, categories, existingTags, signals,
+    threadContext: thread.threadContext, invite, availability, style,
+  };
   try {
-    rawResponse = await callOllama(host, model, prompt, autoAnalyzeOpts(settings, 16384, 16384));
+    if (chunked) {
+      parsed = await runChunkedAnalysis(conn, model, input, chunks, settings, {
+        minCtx,
+        minPredict,
+        signal: progress.signal,
+        onProgress,
+        onSection,
+        preview: !!settings.debugPromptPreview,
+      });
+    } else if (multiPass) {
+      parsed = await runMultiPassAnalysis(conn, model, input, settings, {
+        signal: progress.signal,
+        onProgress,
+        onSection,
+        preview: !!settings.debugPromptPreview,
+      });
+    } else {
+      const opts = {
+        ...autoAnalyzeOpts(settings, minCtx, minPredict),
+        format: buildOutputSchema("combined", { categories }),
+      };
+      rawResponse = await callLLM(conn, model, prompt, opts, {
+        onProgress,
+        signal: progress.signal,
+      });
+    }
+  } catch (e) {
+    closeLiveDialog();
+    throw e;
   } finally {
     progress.stop();
+    browser.runtime.onMessage.removeListener(cancelListener);
+    bgProcessorSetManualFlag(false);
   }
 
-  let parsed = null;
-  try {
-    const jsonStr = extractJSON(rawResponse);
-    parsed = JSON.parse(jsonStr);
-  } catch {
-    parsed = repairAnalysisJSON(rawResponse);
-    if (parsed) {
-      console.log("[ThunderClerk-AI] Repaired truncated analysis JSON — got", Object.keys(parsed).join(", "));
+  if (rawResponse !== null) {
+    try {
+      const jsonStr = extractJSON(rawResponse);
+      parsed = JSON.parse(jsonStr);
+    } catch {
+      parsed = repairAnalysisJSON(rawResponse);
+      if (parsed) {
+        console.log("[ThunderClerk-AI] Repaired truncated analysis JSON — got", Object.keys(parsed).join(", "));
+      }
     }
   }
 
   if (!parsed) {
+    closeLiveDialog();
     throw new Error("invalid JSON in analysis response");
   }
+  parsed = attachMeetingLinks(mergeInviteItems(parsed, invite), extractMeetingLinks(rawMessageText(full)));
 
-  // Normalize previews — LLMs may return different key names
-  for (const key of ["events", "tasks", "contacts"]) {
-    if (Array.isArray(parsed[key])) {
-      parsed[key] = parsed[key].map(item => {
-        if (typeof item === "string") return { preview: item };
-        if (!item.preview) {
-          item.preview = item.title || item.name || item.description
-            || item.summary || item.label || "";
-        }
-        return item;
-      });
-    }
-  }
+  // Coerce stray types and drop unusable items; warnings go in the cache
+  const { data, warnings } = validateAnalysis(parsed);
 
-  // Cache the result, then display via the cached path
-  await cacheSet(message.id, parsed);
+  // Cache the result, then display via the cached path — unless the user
+  // already dismissed the live dialog, in which case the cache is enough.
+  await cacheSet(message.id, data, warnings, thread.threadKey);
+  if (liveDialogClosed) return;
   const cachedEntry = await cacheGet(message.id);
   return await handleAutoAnalyzeCached(cachedEntry, message, emailBody, settings);
 }
@@ -1286,11 +2203,17 @@ async function handleAutoAnalyze(message, emailBody, settings, full) {
 // Handle Auto Analyze with cached data — instant display, no Ollama calls.
 async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
   const analysis = prepareCachedAnalysis(cached, message, emailBody, settings);
-  const replyBody = analysis._replyBody || null;
+  if (analysis.events) {
+    await markExistingEvents(analysis.events);
+    await markConflicts(analysis.events);
+  }
+  if (analysis.tasks) await markCreatedTasks(analysis.tasks);
+  let replyBody = analysis._replyBody || null;
 
   // Detect List-Unsubscribe header (not AI-driven, pure header parsing)
+  let full = null;
   try {
-    const full = await browser.messages.getFull(message.id);
+    full = await browser.messages.getFull(message.id);
     const unsubHeader = full.headers?.["list-unsubscribe"]?.[0];
     if (unsubHeader) {
       analysis._unsubscribe = parseListUnsubscribe(unsubHeader);
@@ -1303,6 +2226,17 @@ async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
     // Silent — dialog just won't show the unsubscribe action
   }
 
+  // Open items across the other cached messages of this conversation
+  try {
+    const { threadKey } = threadInfo(full);
+    const threadEntries = await cacheGetThread(threadKey);
+    if (threadEntries.length > 1) {
+      analysis._thread = summarizeThread(threadEntries.map(t => validateAnalysis(t.entry.raw).data));
+    }
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Thread lookup failed:", e.message);
+  }
+
   // Check if AI-suggested tags are already applied to the message
   if (analysis._cachedTags?.length > 0) {
     try {
@@ -1365,6 +2299,7 @@ async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
         browser.runtime.onMessage.removeListener(itemListener);
         await handleAutoAnalyze(message, emailBody, settings);
       } catch (e) {
+        if (e.name === "CancelError") return;
         console.error("[ThunderClerk-AI] Refresh failed:", e.message);
         notifyError("Refresh error", e.message);
       }
@@ -1520,12 +2455,75 @@ async function handleAutoAnalyzeCached(cached, message, emailBody, settings) {
           browser.runtime.sendMessage({ analyzeItemResult: true, group, index, success: false, error: "Item data not available" }).catch(() => {});
         }
       } catch (e) {
+        if (e.name === "CancelError") {
+          browser.runtime.sendMessage({ analyzeItemResult: true, group, index, success: true, canceled: true }).catch(() => {});
+          return;
+        }
         console.error(`[ThunderClerk-AI] Cached item action failed (${group}[${index}]):`, e.message);
         browser.runtime.sendMessage({ analyzeItemResult: true, group, index, success: false, error: e.message }).catch(() => {});
       }
       return;
     }
 
+    // "Update" on an event that's already in the calendar
+    if (msg.analyzeAction === "updateItem") {
+      const { group, index } = msg;
+      const evt = extractionCache.events?.data?.[index];
+      try {
+        if (group !== "events" || !evt?.existing) throw new Error("Item data not available");
+        const res = await updateExistingEvent(evt);
+        browser.runtime.sendMessage({
+          analyzeItemResult: true, group, index, created: true,
+          success: !!res?.result, error: res?.error,
+        }).catch(() => {});
+      } catch (e) {
+        console.error(`[ThunderClerk-AI] Update failed (${group}[${index}]):`, e.message);
+        browser.runtime.sendMessage({ analyzeItemResult: true, group, index, success: false, error: e.message }).catch(() => {});
+      }
+      return;
+    }
+
+    // "Add all found items" — create every event and task without dialogs
+    if (msg.analyzeAction === "addAll") {
+      try {
+        const outcome = await createFoundItems(
+          extractionCache.events?.data || [],
+          extractionCache.tasks?.data || [],
+          (group, index, res) => {
+            browser.runtime.sendMessage({
+              analyzeItemResult: true, group, index, created: true,
+              success: !!res?.result, error: res?.error,
+            }).catch(() => {});
+          }
+        );
+        notifyItemsCreated(outcome);
+        browser.runtime.sendMessage({ analyzeAddAllResult: true, ...outcome }).catch(() => {});
+      } catch (e) {
+        console.error("[ThunderClerk-AI] Add all failed:", e.message);
+        browser.runtime.sendMessage({ analyzeAddAllResult: true, created: 0, failed: 1, error: e.message }).catch(() => {});
+      }
+      return;
+    }
+
+    // Reply with another intent, tone or length — replaces the one "Use This Reply" opens
+    if (msg.analyzeAction === "regenerateReply") {
+      bgProcessorSetManualFlag(true);
+      try {
+        const reply = await generateReply(message, emailBody, settings, normalizeReplyOptions(msg.options));
+        if (!reply) throw new Error("The AI returned an empty reply body.");
+        replyBody = reply;
+        browser.runtime.sendMessage({ analyzeReplyRegenerated: true, reply }).catch(() => {});
+      } catch (e) {
+        if (e.name !== "CancelError") console.error("[ThunderClerk-AI] Reply regeneration failed:", e.message);
+        browser.runtime.sendMessage({
+          analyzeReplyRegenerated: true, error: e.name === "CancelError" ? "Cancelled" : e.message,
+        }).catch(() => {});
+      } finally {
+        bgProcessorSetManualFlag(false);
+      }
+      return;
+    }
+
     if (msg.analyzeAction === "useReply" && replyBody) {
       try {
         const composeTab = await openComposeWithReply(message, replyBody, settings);
@@ -1626,7 +2624,7 @@ async function handleBulkTriage(messages, settings) {
             notifyError("Empty body", "Could not extract plain text from this message.");
           }
         } catch (e) {
-          notifyError("Error", e.message);
+          if (e.name !== "CancelError") notifyError("Error", e.message);
         }
         viewInProgress = false;
         browser.runtime.sendMessage({ triageViewDone: true, messageId: msg.messageId }).catch(() => {});
@@ -1716,6 +2714,36 @@ async function handleBulkTriage(messages, settings) {
       return;
     }
 
+    if (msg.triageAction === "addItems") {
+      (async () => {
+        const total = { created: 0, failed: 0, skipped: 0, error: null };
+        for (const messageId of msg.messageIds) {
+          try {
+            const cached = await cacheGet(messageId);
+            if (!cached || !cached.raw) continue;
+            const message = await browser.messages.get(messageId);
+            const emailBody = extractTextBody(await browser.messages.getFull(messageId));
+            const analysis = prepareCachedAnalysis(cached, message, emailBody, settings);
+            if (analysis.events) await markExistingEvents(analysis.events);
+            if (analysis.tasks) await markCreatedTasks(analysis.tasks);
+            const outcome = await createFoundItems(analysis.events, analysis.tasks);
+            total.created += outcome.created;
+            total.failed += outcome.failed;
+            total.skipped += outcome.skipped;
+            total.error = total.error || outcome.error;
+            browser.runtime.sendMessage({ triageItemsAdded: true, messageId, ...outcome }).catch(() => {});
+          } catch (e) {
+            console.warn("[ThunderClerk-AI] Add items failed for message", messageId, e.message);
+            total.failed++;
+            total.error = total.error || e.message;
+            browser.runtime.sendMessage({ triageItemsAdded: true, messageId, created: 0, failed: 1, error: e.message }).catch(() => {});
+          }
+        }
+        if (total.created > 0 || total.failed > 0 || total.skipped > 0) notifyItemsCreated(total);
+      })();
+      return;
+    }
+
     if (msg.triageAction === "getAllCached") {
       (async () => {
         try {
@@ -1788,6 +2816,193 @@ async function handleBulkTriage(messages, settings) {
   }
 }
 
+// --- Bulk contact extraction ---
+//
+// Extract Contact on several selected emails opens contact/bulk.html. Once
+// its listener is up the page sends { bulkContactsAction: "start" }; the
+// emails are then read one at a time — cached contacts first, the contact
+// prompt on a miss — and each email's contacts are sent back as a
+// { bulkContactsFound } message, ending with { bulkContactsDone }. The page
+// deduplicates them and saves the ones the user picks. Closing the window
+// cancels the request in flight and stops the rest.
+
+// Email addresses of the user's own identities, lowercased
+async function ownEmailAddresses() {
+  try {
+    const identities = await browser.identities.list();
+    return new Set(identities.map(i => (i.email || "").toLowerCase()).filter(Boolean));
+  } catch (e) {
+    console.warn("[ThunderClerk-AI] Could not list identities:", e.message);
+    return new Set();
+  }
+}
+
+// Runs on its own once the window asks for it, not inside a menu action, so
+// it pauses background processing itself. Aborting `signal` stops it.
+async function gatherBulkContacts(messages, settings, signal) {
+  // Leave out the user themselves — their signature is quoted in every reply
+  const own = await ownEmailAddresses();
+  const isOwn = contact => {
+    const emails = [].concat(contact.email || [], contact.otherEmails || []).map(e => String(e).toLowerCase());
+    return emails.length > 0 && emails.every(e => own.has(e));
+  };
+
+  bgProcessorSetManualFlag(true);
+  let cancelled = false;
+  try {
+    for (const [i, message] of messages.entries()) {
+      if (signal.aborted) return;
+      const result = { bulkContactsFound: true, messageId: message.id, subject: message.subject || "", contacts: [], cached: false };
+      try {
+        const cached = await cacheGet(message.id);
+        if (cached && cached.raw) {
+          result.cached = true;
+          if (Array.isArray(cached.raw.contacts)) result.contacts = cached.raw.contacts;
+        } else {
+          const emailBody = extractTextBody(await browser.messages.getFull(message.id));
+          if (emailBody) {
+            const label = `extract contact info (${i + 1}/${messages.length})`;
+            const parsed = await extractContactWithLLM(message, emailBody, settings, label, signal);
+            if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) result.contacts = [parsed];
+          }
+        }
+      } catch (e) {
+        if (e.name === "CancelError") {
+          cancelled = true;
+          return;
+        }
+        console.warn("[ThunderClerk-AI] Contact extraction failed for message", message.id, e.message);
+        result.error = e.message;
+      }
+      result.contacts = result.contacts.filter(c => c && typeof c === "object" && !isOwn(c));
+      browser.runtime.sendMessage(result).catch(() => {});
+    }
+  } finally {
+    bgProcessorSetManualFlag(false);
+    browser.runtime.sendMessage({ bulkContactsDone: true, cancelled }).catch(() => {});
+  }
+}
+
+async function handleBulkContacts(messages, settings) {
+  // Singleton — focus the open window rather than starting a second batch
+  if (bulkContactsWindowId !== null) {
+    try {
+      await browser.windows.update(bulkContactsWindowId, { focused: true });
+      return;
+    } catch {
+      bulkContactsWindowId = null; // window no longer exists
+    }
+  }
+
+  await browser.storage.local.set({
+    pendingBulkContacts: messages.map(m => ({ messageId: m.id, subject: m.subject || "(no subject)" })),
+    contactAddressBook: settings.contactAddressBook || "",
+  });
+
+  const controller = new AbortController();
+  let started = false;
+  const listener = (msg) => {
+    if (!msg || msg.bulkContactsAction !== "start" || started) return;
+    started = true;
+    gatherBulkContacts(messages, settings, controller.signal).catch(e => {
+      console.error("[ThunderClerk-AI] Bulk contact extraction failed:", e);
+      notifyError("Extract contacts", e.message);
+    });
+  };
+  const cleanUp = () => {
+    controller.abort();
+    bulkContactsWindowId = null;
+    browser.runtime.onMessage.removeListener(listener);
+    browser.storage.local.remove("pendingBulkContacts").catch(() => {});
+  };
+  browser.runtime.onMessage.addListener(listener);
+
+  // Returns once the window is open; the rest happens in the listeners
+  let win;
+  try {
+    win = await browser.windows.create({
+      url: browser.runtime.getURL("contact/bulk.html"),
+      type: "popup",
+      width: 820,
+      height: 640,
+    });
+  } catch (e) {
+    cleanUp();
+    throw e;
+  }
+  bulkContactsWindowId = win.id;
+  const onRemoved = (windowId) => {
+    if (windowId !== win.id) return;
+    browser.windows.onRemoved.removeListener(onRemoved);
+    cleanUp();
+  };
+  browser.windows.onRemoved.addListener(onRemoved);
+}
+
+// --- Writing style profile ---
+//
+// Learned from the newest emails in the Sent folders when the options page
+// asks for it ({ action: "rebuildStyleProfile" }), and stored as
+// styleProfile in storage.local; see "Writing style profile" in utils.js.
+
+const STYLE_SAMPLE_DAYS = 180; // how far back to look for sent emails
+
+// Newly written text of the user's most recent sent emails (quotes and
+// signature removed), newest first
+async function sentEmailSamples(limit) {
+  const since = new Date(Date.now() - STYLE_SAMPLE_DAYS * 86400000);
+  const headers = [];
+  for (const folder of await browser.folders.query({ specialUse: ["sent"] })) {
+    try {
+      let page = await browser.messages.query({ folderId: folder.id, fromDate: since });
+      headers.push(...(page.messages || []));
+      // A few pages are plenty to pick the newest from
+      while (page.id && headers.length < limit * 10) {
+        page = await browser.messages.continueList(page.id);
+        headers.push(...(page.messages || []));
+      }
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not read sent folder", folder.name, e.message);
+    }
+  }
+  headers.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  const samples = [];
+  for (const header of headers) {
+    if (samples.length >= limit) break;
+    try {
+      const text = cleanEmailBody(extractTextBody(await browser.messages.getFull(header.id))).content;
+      // Skip one-word replies and bare forwards — they say little about style
+      if (text && text.split(/\s+/).length >= 5) samples.push(text.slice(0, STYLE_SAMPLE_MAX_CHARS));
+    } catch (e) {
+      console.warn("[ThunderClerk-AI] Could not read sent message", header.id, e.message);
+    }
+  }
+  return samples;
+}
+
+// Learn the profile from the Sent folders and store it. Returns the profile.
+async function rebuildStyleProfile(settings) {
+  const samples = await sentEmailSamples(STYLE_SAMPLE_COUNT);
+  if (samples.length === 0) {
+    throw new Error(`No sent emails from the last ${STYLE_SAMPLE_DAYS} days were found.`);
+  }
+
+  const conn  = await llmConnection(settings);
+  const model = modelFor(settings, "reply");
+  const prompt = buildStyleProfilePrompt(samples);
+  const parsed = await callLLMWithNotification(conn, model, prompt, "learn your writing style", settings, {
+    ...buildOllamaOptions(settings),
+    format: buildOutputSchema("style"),
+  });
+
+  const text = formatStyleProfile(parsed);
+  if (!text) throw new Error("The AI returned an empty style profile.");
+  const styleProfile = { text, sampleCount: samples.length, updatedAt: Date.now() };
+  await browser.storage.local.set({ styleProfile });
+  return styleProfile;
+}
+
 // --- Menu click handler ---
 
 browser.menus.onClicked.addListener(async (info, tab) => {
@@ -1840,6 +3055,13 @@ browser.menus.onClicked.addListener(async (info, tab) => {
     return;
   }
 
+  // Extract Contact on several emails — gather them all into one table
+  if (info.menuItemId === "thunderclerk-ai-extract-contact" && messages.length > 1) {
+    const settings = await browser.storage.sync.get(DEFAULTS);
+    await handleBulkContacts(messages, settings);
+    return;
+  }
+
   const message = messages[0];
 
   // Load settings
@@ -1873,8 +3095,10 @@ browser.menus.onClicked.addListener(async (info, tab) => {
       await handleCalendar(message, emailBody, settings);
     } else if (info.menuItemId === "thunderclerk-ai-add-task") {
       await handleTask(message, emailBody, settings);
-    } else if (info.menuItemId === "thunderclerk-ai-draft-reply") {
+    } else if (info.menuItemId === "thunderclerk-ai-draft-reply-suggested") {
       await handleDraftReply(message, emailBody, settings);
+    } else if (info.menuItemId.startsWith("thunderclerk-ai-reply-intent-")) {
+      await handleDraftReply(message, emailBody, settings, { intent: info.menuItemId.slice("thunderclerk-ai-reply-intent-".length) });
     } else if (info.menuItemId === "thunderclerk-ai-summarize-forward") {
       await handleSummarizeForward(message, emailBody, settings);
     } else if (info.menuItemId === "thunderclerk-ai-extract-contact") {
@@ -1896,7 +3120,9 @@ browser.menus.onClicked.addListener(async (info, tab) => {
       );
     }
   } catch (e) {
-    if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
+    if (e.name === "CancelError") {
+      console.log("[ThunderClerk-AI] Request cancelled by user");
+    } else if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
       console.error("[ThunderClerk-AI] JSON parse failed:", e.message);
       notifyError("Parse error", "Model returned invalid JSON. Check the browser console for details.");
     } else {
@@ -1907,6 +3133,47 @@ browser.menus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// --- Source email of calendar items ---
+//
+// Items created from an email carry its Message-ID (message_id in the
+// CalendarTools API). From the Tools menu or the open_source_email command,
+// the email of the item selected in the calendar or task view is opened.
+
+async function openSourceEmail() {
+  const ids = await browser.CalendarTools.getSelectedItemMessageIds();
+  if (ids.length === 0) {
+    notifyError("Open source email", "Select an event or task that ThunderClerk-AI added in the calendar or task view first.");
+    return;
+  }
+  const list = await browser.messages.query({ headerMessageId: ids[0] });
+  const msg = list.messages[0];
+  if (!msg) {
+    notifyError("Open source email", "The email this item was created from was not found. It may have been deleted.");
+    return;
+  }
+  await browser.messageDisplay.open({ messageId: msg.id, location: "tab" });
+}
+
+browser.menus.onClicked.addListener(async (info) => {
+  if (info.menuItemId !== "thunderclerk-ai-open-source-email") return;
+  try {
+    await openSourceEmail();
+  } catch (e) {
+    console.error("[ThunderClerk-AI] Open source email failed:", e.message);
+    notifyError("Open source email", e.message);
+  }
+});
+
+browser.commands.onCommand.addListener(async (command) => {
+  if (command !== "open_source_email") return;
+  try {
+    await openSourceEmail();
+  } catch (e) {
+    console.error("[ThunderClerk-AI] Open source email failed:", e.message);
+    notifyError("Open source email", e.message);
+  }
+});
+
 // --- Message display action button (header toolbar) ---
 
 browser.messageDisplayAction.onClicked.addListener(async (tab) => {
@@ -1948,7 +3215,9 @@ browser.messageDisplayAction.onClicked.addListener(async (tab) => {
   try {
     await handleAutoAnalyze(message, emailBody, settings, full);
   } catch (e) {
-    if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
+    if (e.name === "CancelError") {
+      console.log("[ThunderClerk-AI] Request cancelled by user");
+    } else if (e.message?.includes("invalid JSON") || e.message?.includes("No JSON object") || e.message?.includes("Unclosed JSON")) {
       console.error("[ThunderClerk-AI] JSON parse failed:", e.message);
       notifyError("Parse error", "Model returned invalid JSON. Check the browser console for details.");
     } else {
@@ -2079,6 +3348,21 @@ browser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     sendResponse({ ok: true });
     return true;
   }
+  if (msg && msg.action === "rebuildStyleProfile") {
+    (async () => {
+      bgProcessorSetManualFlag(true);
+      try {
+        const settings = await browser.storage.sync.get(DEFAULTS);
+        sendResponse({ profile: await rebuildStyleProfile(settings) });
+      } catch (e) {
+        console.error("[ThunderClerk-AI] Style profile failed:", e.message);
+        sendResponse({ error: e.name === "CancelError" ? "Cancelled" : e.message });
+      } finally {
+        bgProcessorSetManualFlag(false);
+      }
+    })();
+    return true;
+  }
   if (msg && msg.action === "stripPresetTags") {
     (async () => {
       try {
@@ -4,8 +4,13 @@
 // Stores combined extraction results keyed by message ID.
 //
 // Storage layout:
-//   Key "_bgCacheIndex" → { entries: { [messageId]: { ts, status } } }
-//   Key "cache_<msgId>" → { version: 1, ts, raw: <combined extraction JSON> }
+//   Key "_bgCacheIndex" → { entries: { [messageId]: { ts, status, thread? } } }
+//   Key "cache_<msgId>" → { version: 1, ts, raw: <combined extraction JSON>, warnings? }
+//
+// `warnings` is the list produced by validateAnalysis() — present only when
+// validation had to fix or drop something. `thread` is the threadInfo() key
+// of the message's conversation, so all cached replies in a thread can be
+// looked up together.
 
 const CACHE_VERSION = 1;
 const CACHE_INDEX_KEY = "_bgCacheIndex";
@@ -27,21 +32,40 @@ async function cacheGet(messageId) {
   return entry;
 }
 
-async function cacheSet(messageId, data) {
+async function cacheSet(messageId, data, warnings = [], threadKey = null) {
   const key = "cache_" + messageId;
   const entry = {
     version: CACHE_VERSION,
     ts: Date.now(),
     raw: data,
   };
+  if (warnings.length > 0) entry.warnings = warnings;
   await browser.storage.local.set({ [key]: entry });
 
   // Update index
   const index = await _getCacheIndex();
   index.entries[messageId] = { ts: entry.ts, status: "ok" };
+  if (threadKey) index.entries[messageId].thread = threadKey;
   await _setCacheIndex(index);
 }
 
+// All cached analyses in a thread → [{ messageId, entry }], in cache order.
+async function cacheGetThread(threadKey) {
+  if (!threadKey) return [];
+  const index = await _getCacheIndex();
+  const ids = Object.entries(index.entries)
+    .filter(([, meta]) => meta.thread === threadKey && meta.status === "ok")
+    .sort(([, a], [, b]) => a.ts - b.ts)
+    .map(([id]) => id);
+  if (ids.length === 0) return [];
+
+  const keys = ids.map(id => "cache_" + id);
+  const result = await browser.storage.local.get(keys);
+  return ids
+    .map(id => ({ messageId: Number(id), entry: result["cache_" + id] }))
+    .filter(({ entry }) => entry && entry.version === CACHE_VERSION);
+}
+
 async function cacheHas(messageId) {
   const key = "cache_" + messageId;
   const result = await browser.storage.local.get({ [key]: null });
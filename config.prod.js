@@ -1,13 +1,17 @@
 "use strict";
 
 const DEFAULTS = {
+  llmProvider:           "ollama",            // "ollama" | "openai" (OpenAI-compatible server)
   ollamaHost:            "http://127.0.0.1:11434",
   ollamaModel:           "mistral:7b",
+  modelOverrides:        {},                  // per-action models, e.g. { catalog: "qwen2.5:1.5b" } — unset = ollamaModel
   // Calendar event settings
   attendeesSource:       "from_to",          // "from_to" | "from" | "to" | "static" | "none"
   attendeesStatic:       "",
   defaultCalendar:       "",                  // "" = use currently selected
   descriptionFormat:     "body_from_subject", // "body_from_subject" | "body" | "none" | "ai_summary"
+  timezoneMode:          "keep",              // "keep" (event in the email's zone) | "convert" (to the calendar's zone)
+  reminderRules:         {},                  // minutes before start per category, e.g. { Travel: 180, Work: 15 }
   // Task settings
   taskDescriptionFormat: "body_from_subject", // "body_from_subject" | "body" | "none" | "ai_summary"
   taskDefaultDue:        "none",              // "none" | "7" | "14" | "30" (days from now)
@@ -16,6 +20,8 @@ const DEFAULTS = {
   taskUseCategory:       false,
   // Compose action settings
   replyMode:             "replyToSender",     // "replyToSender" | "replyToAll"
+  replyTone:             "",                  // "" (match the email) | "warm" | "formal" | "casual" | "direct"
+  replyLength:           "",                  // "" (a paragraph or two) | "short" | "medium" | "long"
   // Contact settings
   contactAddressBook:    "",                  // "" = first writable address book
   // Email cataloging settings
@@ -24,6 +30,9 @@ const DEFAULTS = {
   // Auto Analyze settings (includes background processing and caching)
   autoAnalyzeEnabled:    false,
   bgCacheMaxDays:        1,
+  analysisMode:          "combined",         // "combined" | "multipass" (focused prompts for smaller models)
+  multipassConcurrent:   false,              // run multi-pass prompts in parallel
+  includeThread:         true,               // analyze replies with the earlier messages of their thread
   // LLM parameter settings
   numCtx:                0,              // 0 = use model default
   numPredict:            0,              // 0 = use model default
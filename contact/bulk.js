@@ -0,0 +1,304 @@
+"use strict";
+
+// Contacts gathered from several emails by background.js (see "Bulk contact
+// extraction" there), one row per person, saved to the chosen address book.
+
+async function populateAddressBooks(selectEl, savedId) {
+  while (selectEl.options.length > 0) selectEl.remove(0);
+
+  let books = [];
+  try {
+    books = await browser.addressBooks.list();
+  } catch (e) {
+    console.error("[ThunderClerk-AI] Could not list address books:", e);
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = "(could not read address books)";
+    opt.disabled = true;
+    selectEl.appendChild(opt);
+    return;
+  }
+
+  // Filter to writable address books (exclude read-only)
+  const writable = books.filter(b => !b.readOnly);
+
+  if (writable.length === 0) {
+    const opt = document.createElement("option");
+    opt.value = "";
+    opt.textContent = "(no writable address books found)";
+    opt.disabled = true;
+    selectEl.appendChild(opt);
+    return;
+  }
+
+  for (const book of writable) {
+    const opt = document.createElement("option");
+    opt.value = book.id;
+    opt.textContent = book.name;
+    selectEl.appendChild(opt);
+  }
+
+  if (savedId) {
+    selectEl.value = savedId;
+    if (!selectEl.value) selectEl.selectedIndex = 0;
+  } else {
+    selectEl.selectedIndex = 0;
+  }
+}
+
+let messageCount = 0;
+let readCount = 0;
+let failedCount = 0;
+let finished = false;
+let cancelled = false;
+
+// [{ contact, messageId, subject }] as they arrive, and the rows made from them
+const found = [];
+let entries = [];
+
+// Per row key: the user's checkbox choice, the card it matches in the
+// selected address book ({ card } — card null when there is none) and
+// whether it was saved ("saved" / "updated" / an error message)
+const selected = new Map();
+const matches = new Map();
+const outcomes = new Map();
+let matching = false;
+
+function isSaved(key) {
+  return outcomes.get(key) === "saved" || outcomes.get(key) === "updated";
+}
+
+// Rows already in the address book with nothing new start unchecked
+function isSelected(entry) {
+  if (isSaved(entry.key)) return false;
+  if (selected.has(entry.key)) return selected.get(entry.key);
+  const match = matches.get(entry.key);
+  return !(match && match.card && contactDiff(match.card.properties, entry.contact).length === 0);
+}
+
+function statusOf(entry) {
+  const outcome = outcomes.get(entry.key);
+  if (outcome === "saved") return { text: "Saved", className: "saved" };
+  if (outcome === "updated") return { text: "Updated", className: "saved" };
+  if (outcome) return { text: `Failed: ${outcome}`, className: "failed" };
+  const match = matches.get(entry.key);
+  if (!match) return { text: "Checking…", className: "" };
+  if (!match.card) return { text: "New", className: "" };
+  const changes = contactDiff(match.card.properties, entry.contact).length;
+  return changes > 0
+    ? { text: `In address book, ${changes} new detail${changes === 1 ? "" : "s"}`, className: "existing" }
+    : { text: "In address book", className: "existing" };
+}
+
+function renderProgress() {
+  const progress = document.getElementById("progress");
+  const failed = failedCount > 0 ? ` (${failedCount} failed)` : "";
+  if (cancelled) {
+    progress.textContent = `Stopped after ${readCount} of ${messageCount} emails${failed}`;
+  } else if (finished) {
+    progress.textContent = `Read ${readCount} email${readCount === 1 ? "" : "s"}${failed}`;
+  } else {
+    progress.textContent = `Reading emails… ${readCount} of ${messageCount}${failed}`;
+  }
+}
+
+function render() {
+  const rows = document.getElementById("rows");
+  rows.replaceChildren();
+  for (const entry of entries) {
+    const c = entry.contact;
+    const tr = document.createElement("tr");
+
+    const check = document.createElement("td");
+    check.className = "check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = isSelected(entry);
+    box.disabled = isSaved(entry.key);
+    box.addEventListener("change", () => {
+      selected.set(entry.key, box.checked);
+      renderButtons();
+    });
+    check.appendChild(box);
+
+    const name = document.createElement("td");
+    name.textContent = [c.firstName, c.lastName].filter(Boolean).join(" ") || c.company || "";
+    const role = [c.jobTitle, c.company].filter(Boolean).join(", ");
+    if (role && role !== name.textContent) {
+      const sub = document.createElement("div");
+      sub.className = "sub";
+      sub.textContent = role;
+      name.appendChild(sub);
+    }
+
+    const email = document.createElement("td");
+    email.textContent = c.email || "";
+    if (c.otherEmails) {
+      const sub = document.createElement("div");
+      sub.className = "sub";
+      sub.textContent = c.otherEmails.join(", ");
+      email.appendChild(sub);
+    }
+
+    const phone = document.createElement("td");
+    phone.textContent = (c.phones || []).map(p => p.number).join(", ");
+
+    const sources = document.createElement("td");
+    sources.textContent = entry.sources.length === 1
+      ? entry.sources[0].subject || "(no subject)"
+      : `${entry.sources.length} emails`;
+    sources.title = entry.sources.map(s => s.subject || "(no subject)").join("\n");
+
+    const status = document.createElement("td");
+    const { text, className } = statusOf(entry);
+    status.className = `status ${className}`;
+    status.textContent = text;
+
+    tr.append(check, name, email, phone, sources, status);
+    rows.appendChild(tr);
+  }
+
+  const empty = document.getElementById("empty");
+  empty.hidden = entries.length > 0;
+  empty.textContent = finished || cancelled ? "No contacts found in the selected emails." : "Looking for contacts…";
+  renderProgress();
+  renderButtons();
+}
+
+function renderButtons() {
+  const open = entries.filter(e => !isSaved(e.key));
+  const count = open.filter(isSelected).length;
+  const saveBtn = document.getElementById("save-btn");
+  saveBtn.textContent = count > 0 ? `Save Selected (${count})` : "Save Selected";
+  saveBtn.disabled = count === 0 || !document.getElementById("addressBook").value;
+  const all = document.getElementById("select-all");
+  all.checked = open.length > 0 && count === open.length;
+  all.indeterminate = count > 0 && count < open.length;
+}
+
+// Look up rows not yet checked against the selected address book, by email
+// and last name (one at a time, as rows keep arriving)
+async function checkExisting() {
+  if (matching) return;
+  matching = true;
+  try {
+    const addressBookId = document.getElementById("addressBook").value;
+    let entry;
+    while (addressBookId && (entry = entries.find(e => !matches.has(e.key)))) {
+      const cards = new Map();
+      for (const query of [entry.contact.email, entry.contact.lastName].filter(Boolean)) {
+        try {
+          for (const card of await browser.contacts.quickSearch(addressBookId, query)) {
+            cards.set(card.id, card);
+          }
+        } catch (e) {
+          console.warn("[ThunderClerk-AI] Could not search the address book:", e.message);
+        }
+      }
+      if (addressBookId !== document.getElementById("addressBook").value) break; // changed meanwhile
+      matches.set(entry.key, { card: findMatchingContact(entry.contact, [...cards.values()]) });
+      render();
+    }
+  } finally {
+    matching = false;
+  }
+  // The address book changed while searching
+  if (entries.some(e => !matches.has(e.key)) && document.getElementById("addressBook").value) checkExisting();
+}
+
+async function saveSelected() {
+  const addressBookId = document.getElementById("addressBook").value;
+  if (!addressBookId) {
+    document.getElementById("status").textContent = "Please select an address book.";
+    return;
+  }
+  document.getElementById("status").textContent = "";
+  document.getElementById("save-btn").disabled = true;
+
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+  for (const entry of entries.filter(e => !isSaved(e.key) && isSelected(e))) {
+    const match = matches.get(entry.key);
+    try {
+      if (match && match.card) {
+        // Only what's new; everything else on the card stays as it is
+        const props = match.card.properties;
+        if (contactDiff(props, entry.contact).length > 0) {
+          const vCard = mergeVCard(props.vCard || buildVCard(contactFromCard(props)), entry.contact);
+          await browser.contacts.update(match.card.id, { vCard });
+        }
+        outcomes.set(entry.key, "updated");
+        updated++;
+      } else {
+        await browser.contacts.create(addressBookId, contactToCard(entry.contact));
+        outcomes.set(entry.key, "saved");
+        created++;
+      }
+    } catch (e) {
+      console.error("[ThunderClerk-AI] Failed to save contact:", e);
+      outcomes.set(entry.key, e.message);
+      failed++;
+    }
+    render();
+  }
+
+  const parts = [];
+  if (created > 0) parts.push(`${created} added`);
+  if (updated > 0) parts.push(`${updated} updated`);
+  if (failed > 0) parts.push(`${failed} failed`);
+  const status = document.getElementById("status");
+  status.style.color = failed > 0 ? "" : "#15803d";
+  status.textContent = parts.length > 0 ? `Contacts: ${parts.join(", ")}.` : "";
+  render();
+}
+
+function onBackgroundMessage(msg) {
+  if (!msg) return;
+  if (msg.bulkContactsFound) {
+    readCount++;
+    if (msg.error) failedCount++;
+    for (const contact of msg.contacts) {
+      found.push({ contact, messageId: msg.messageId, subject: msg.subject });
+    }
+    entries = dedupeContacts(found);
+    render();
+    checkExisting();
+  } else if (msg.bulkContactsDone) {
+    finished = true;
+    cancelled = !!msg.cancelled;
+    render();
+  }
+}
+
+async function init() {
+  const { pendingBulkContacts, contactAddressBook } = await browser.storage.local.get({
+    pendingBulkContacts: [],
+    contactAddressBook: "",
+  });
+  messageCount = pendingBulkContacts.length;
+
+  await populateAddressBooks(document.getElementById("addressBook"), contactAddressBook);
+  render();
+
+  // Only now ask for the contacts, so none arrive before we're listening
+  browser.runtime.onMessage.addListener(onBackgroundMessage);
+  browser.runtime.sendMessage({ bulkContactsAction: "start" }).catch(() => {});
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  init();
+  document.getElementById("save-btn").addEventListener("click", saveSelected);
+  document.getElementById("close-btn").addEventListener("click", () => window.close());
+  document.getElementById("addressBook").addEventListener("change", () => {
+    matches.clear();
+    render();
+    checkExisting();
+  });
+  document.getElementById("select-all").addEventListener("change", (e) => {
+    for (const entry of entries) {
+      if (!isSaved(entry.key)) selected.set(entry.key, e.target.checked);
+    }
+    render();
+  });
+});
@@ -43,25 +43,121 @@ async function populateAddressBooks(selectEl, savedId) {
   }
 }
 
+const TEXT_FIELDS    = ["firstName", "lastName", "email", "company", "department", "jobTitle", "website", "notes"];
+const LIST_FIELDS    = ["otherEmails", "social"];
+const ADDRESS_FIELDS = ["street", "city", "region", "postalCode", "country"];
+const PHONE_FIELDS   = CONTACT_PHONE_TYPES.map(type => `phone-${type}`);
+const FORM_FIELDS    = [...TEXT_FIELDS, ...LIST_FIELDS, ...ADDRESS_FIELDS, ...PHONE_FIELDS];
+
+// Card in the selected address book this contact is already saved as, if any
+let matchedCard = null;
+
+function splitList(value) {
+  return value.split(",").map(v => v.trim()).filter(Boolean);
+}
+
+function readForm() {
+  const value = id => document.getElementById(id).value.trim();
+  const raw = { address: {}, phones: [] };
+  for (const field of TEXT_FIELDS) raw[field] = value(field);
+  for (const field of LIST_FIELDS) raw[field] = splitList(value(field));
+  for (const field of ADDRESS_FIELDS) raw.address[field] = value(field);
+  for (const type of CONTACT_PHONE_TYPES) {
+    for (const number of splitList(value(`phone-${type}`))) raw.phones.push({ type, number });
+  }
+  return normalizeContact(raw);
+}
+
+function fillForm(contact) {
+  const set = (id, value) => { document.getElementById(id).value = value || ""; };
+  for (const field of TEXT_FIELDS) set(field, contact[field]);
+  for (const field of LIST_FIELDS) set(field, (contact[field] || []).join(", "));
+  for (const field of ADDRESS_FIELDS) set(field, contact.address?.[field]);
+  for (const type of CONTACT_PHONE_TYPES) {
+    set(`phone-${type}`, (contact.phones || []).filter(p => p.type === type).map(p => p.number).join(", "));
+  }
+  // Keep the less common details folded away unless there is something in them
+  document.getElementById("more").open = !!(contact.address || contact.social || contact.notes);
+}
+
+// Update the matched card (if the user chose to) or create a new one
+function saveMode() {
+  if (!matchedCard) return "create";
+  return document.querySelector('input[name="save-mode"]:checked').value;
+}
+
+function updateSaveLabel() {
+  document.getElementById("save-btn").textContent = saveMode() === "update" ? "Update Contact" : "Save Contact";
+}
+
+// Show the existing card and what updating it would change
+function renderMatch() {
+  const box = document.getElementById("match");
+  box.hidden = !matchedCard;
+  if (matchedCard) {
+    const props = matchedCard.properties || {};
+    const card = contactFromCard(props);
+    const name = props.DisplayName || [card.firstName, card.lastName].filter(Boolean).join(" ") || card.email;
+    document.getElementById("match-title").textContent = `Already in this address book as ${name}`;
+
+    const list = document.getElementById("match-diff");
+    list.replaceChildren();
+    const diff = contactDiff(props, readForm());
+    if (diff.length === 0) {
+      const li = document.createElement("li");
+      li.textContent = "No new details";
+      list.appendChild(li);
+    }
+    for (const { label, from, to } of diff) {
+      const li = document.createElement("li");
+      li.append(`${label}: `);
+      if (from) {
+        const old = document.createElement("span");
+        old.className = "from";
+        old.textContent = from;
+        li.append(old, ` \u2192 ${to}`);
+      } else {
+        li.append(`${to} (new)`);
+      }
+      list.appendChild(li);
+    }
+  }
+  updateSaveLabel();
+}
+
+// Look the contact up in the selected address book by email and last name
+async function checkExisting() {
+  const addressBookId = document.getElementById("addressBook").value;
+  const contact = readForm();
+  const cards = new Map();
+  if (addressBookId) {
+    for (const query of [contact.email, contact.lastName].filter(Boolean)) {
+      try {
+        for (const card of await browser.contacts.quickSearch(addressBookId, query)) {
+          cards.set(card.id, card);
+        }
+      } catch (e) {
+        console.warn("[ThunderClerk-AI] Could not search the address book:", e.message);
+      }
+    }
+  }
+  matchedCard = findMatchingContact(contact, [...cards.values()]);
+  renderMatch();
+}
+
 async function init() {
   const { pendingContact, contactAddressBook } = await browser.storage.local.get({
     pendingContact: {},
     contactAddressBook: "",
   });
 
-  // Pre-fill form fields
-  document.getElementById("firstName").value = pendingContact.firstName || "";
-  document.getElementById("lastName").value  = pendingContact.lastName  || "";
-  document.getElementById("email").value     = pendingContact.email     || "";
-  document.getElementById("phone").value     = pendingContact.phone     || "";
-  document.getElementById("company").value   = pendingContact.company   || "";
-  document.getElementById("jobTitle").value  = pendingContact.jobTitle  || "";
-  document.getElementById("website").value   = pendingContact.website   || "";
+  fillForm(normalizeContact(pendingContact));
 
   await populateAddressBooks(
     document.getElementById("addressBook"),
     contactAddressBook,
   );
+  await checkExisting();
 }
 
 async function saveContact() {
@@ -71,32 +167,21 @@ async function saveContact() {
     return;
   }
 
-  const properties = {};
-  const firstName = document.getElementById("firstName").value.trim();
-  const lastName  = document.getElementById("lastName").value.trim();
-  const email     = document.getElementById("email").value.trim();
-  const phone     = document.getElementById("phone").value.trim();
-  const company   = document.getElementById("company").value.trim();
-  const jobTitle  = document.getElementById("jobTitle").value.trim();
-  const website   = document.getElementById("website").value.trim();
-
-  if (firstName) properties.FirstName     = firstName;
-  if (lastName)  properties.LastName      = lastName;
-  if (email)     properties.PrimaryEmail  = email;
-  if (phone)     properties.CellularNumber = phone;
-  if (company)   properties.Company       = company;
-  if (jobTitle)  properties.JobTitle      = jobTitle;
-  if (website)   properties.WebPage1      = website;
-
-  // Display name fallback
-  if (firstName || lastName) {
-    properties.DisplayName = [firstName, lastName].filter(Boolean).join(" ");
-  }
-
+  const contact = readForm();
   try {
-    await browser.contacts.create(addressBookId, properties);
+    if (saveMode() === "update") {
+      // Only what changed; fields left empty here keep the card's value, and
+      // whatever else the card holds stays as it is
+      const props = matchedCard.properties;
+      if (contactDiff(props, contact).length > 0) {
+        const vCard = mergeVCard(props.vCard || buildVCard(contactFromCard(props)), contact);
+        await browser.contacts.update(matchedCard.id, { vCard });
+      }
+    } else {
+      await browser.contacts.create(addressBookId, contactToCard(contact));
+    }
   } catch (e) {
-    console.error("[ThunderClerk-AI] Failed to create contact:", e);
+    console.error("[ThunderClerk-AI] Failed to save contact:", e);
     document.getElementById("status").textContent = "Failed to save: " + e.message;
     return;
   }
@@ -116,4 +201,14 @@ document.addEventListener("DOMContentLoaded", () => {
   init();
   document.getElementById("save-btn").addEventListener("click", saveContact);
   document.getElementById("cancel-btn").addEventListener("click", cancel);
+  document.getElementById("addressBook").addEventListener("change", checkExisting);
+  for (const field of ["firstName", "lastName", "email"]) {
+    document.getElementById(field).addEventListener("change", checkExisting);
+  }
+  for (const field of FORM_FIELDS) {
+    document.getElementById(field).addEventListener("input", () => { if (matchedCard) renderMatch(); });
+  }
+  for (const radio of document.querySelectorAll('input[name="save-mode"]')) {
+    radio.addEventListener("change", updateSaveLabel);
+  }
 });
@@ -7,23 +7,51 @@
 const modelSizeMap = {};    // modelName → file size in bytes
 let modelInfoCache = {};    // modelName → { blockCount, headCount, headCountKv, embeddingLength }
 
-// --- Model list from Ollama ---
+// --- Connection from the (possibly unsaved) form fields ---
 
+function currentConnection() {
+  return {
+    provider: document.getElementById("llmProvider").value || DEFAULTS.llmProvider,
+    host:     document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost,
+    apiKey:   document.getElementById("llmApiKey").value.trim(),
+  };
+}
+
+// --- Server type show/hide ---
+
+function syncProviderUI(provider) {
+  const isOpenAI = provider === "openai";
+  document.getElementById("llmApiKey-wrap").style.display = isOpenAI ? "block" : "none";
+  document.getElementById("ollamaHost").placeholder = isOpenAI
+    ? "http://127.0.0.1:8080"
+    : "http://127.0.0.1:11434";
+  document.getElementById("ollamaHost-hint").textContent = isOpenAI
+    ? "Base URL of the server, e.g. http://127.0.0.1:8080 (llama.cpp), :8000 (vLLM) or :1234 (LM Studio)."
+    : "Default: http://127.0.0.1:11434";
+}
+
+// --- Model list from the LLM server ---
+
+// Fills the default-model select and returns the model names found
+// (empty if the server couldn't be reached).
 async function populateModels(selectEl, savedModel) {
-  const host = document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost;
+  const conn = currentConnection();
+  const serverLabel = getLLMProvider(conn.provider).label;
 
   while (selectEl.options.length > 0) selectEl.remove(0);
 
   let models = [];
   try {
-    const resp = await fetch(host.replace(/\/$/, "") + "/api/tags");
+    const { url, headers } = buildModelsRequest(conn);
+    const resp = await fetch(url, { headers });
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
     const data = await resp.json();
+    const list = parseModelList(conn.provider, data);
     // Capture model sizes for VRAM estimation
-    for (const m of (data.models || [])) {
-      if (m.name && m.size) modelSizeMap[m.name] = m.size;
+    for (const m of list) {
+      if (m.size) modelSizeMap[m.name] = m.size;
     }
-    models = (data.models || []).map(m => m.name).sort();
+    models = list.map(m => m.name).sort();
   } catch (e) {
     console.error("[ThunderClerk-AI] Could not fetch models:", e);
     // Show saved model so the user isn't left with an empty select
@@ -35,20 +63,22 @@ async function populateModels(selectEl, savedModel) {
     }
     const err = document.createElement("option");
     err.value = "";
-    err.textContent = "(could not reach Ollama — check host URL)";
+    err.textContent = `(could not reach ${serverLabel} — check host URL)`;
     err.disabled = true;
     selectEl.appendChild(err);
     if (savedModel) selectEl.value = savedModel;
-    return;
+    return [];
   }
 
   if (models.length === 0) {
     const opt = document.createElement("option");
     opt.value = "";
-    opt.textContent = "(no models found — run: ollama pull <model>)";
+    opt.textContent = conn.provider === "ollama"
+      ? "(no models found — run: ollama pull <model>)"
+      : "(no models found — load a model on the server)";
     opt.disabled = true;
     selectEl.appendChild(opt);
-    return;
+    return [];
   }
 
   for (const name of models) {
@@ -62,7 +92,7 @@ async function populateModels(selectEl, savedModel) {
   if (savedModel && !models.includes(savedModel)) {
     const opt = document.createElement("option");
     opt.value = savedModel;
-    opt.textContent = savedModel + " (not in Ollama)";
+    opt.textContent = savedModel + " (not on server)";
     selectEl.insertBefore(opt, selectEl.firstChild);
   }
 
@@ -72,6 +102,99 @@ async function populateModels(selectEl, savedModel) {
   } else {
     selectEl.selectedIndex = 0;
   }
+  return models;
+}
+
+// --- Per-action model routing ---
+
+// One row per MODEL_ACTIONS entry: label, model select, VRAM estimate.
+function buildModelRoutes() {
+  const container = document.getElementById("model-routes");
+  for (const action of MODEL_ACTIONS) {
+    const row = document.createElement("div");
+    row.className = "route-row";
+
+    const label = document.createElement("label");
+    label.htmlFor = `model-route-${action.key}`;
+    label.textContent = action.label;
+
+    const select = document.createElement("select");
+    select.id = `model-route-${action.key}`;
+    select.dataset.action = action.key;
+    select.addEventListener("change", () => updateRouteEstimates());
+
+    const vram = document.createElement("span");
+    vram.className = "route-vram";
+    vram.id = `model-route-${action.key}-vram`;
+
+    row.appendChild(label);
+    row.appendChild(select);
+    row.appendChild(vram);
+    container.appendChild(row);
+  }
+}
+
+function populateModelRoutes(models, overrides) {
+  for (const action of MODEL_ACTIONS) {
+    const select = document.getElementById(`model-route-${action.key}`);
+    const saved = (overrides && overrides[action.key]) || "";
+    while (select.options.length > 0) select.remove(0);
+
+    const def = document.createElement("option");
+    def.value = "";
+    def.textContent = "Default model";
+    select.appendChild(def);
+
+    const names = saved && !models.includes(saved) ? [saved, ...models] : models;
+    for (const name of names) {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = models.includes(name) ? name : name + " (not on server)";
+      select.appendChild(opt);
+    }
+    select.value = saved;
+  }
+}
+
+function currentModelOverrides() {
+  const overrides = {};
+  for (const action of MODEL_ACTIONS) {
+    const value = document.getElementById(`model-route-${action.key}`).value;
+    if (value) overrides[action.key] = value;
+  }
+  return overrides;
+}
+
+// Context window an action actually runs with — Auto Analyze raises the
+// user's setting to its minimums (see autoAnalyzeOpts in background.js).
+function routeContextLength(action, numCtx, modelDefaultCtx) {
+  const multiPass = document.getElementById("analysisMode").value === "multipass";
+  if (action === "analyze" || action === "background") {
+    return Math.max(numCtx, multiPass ? 8192 : 16384);
+  }
+  if (action === "triage") return Math.max(numCtx, 8192);
+  return numCtx || modelDefaultCtx || 0;
+}
+
+async function updateRouteEstimates() {
+  const host = document.getElementById("ollamaHost").value.trim() || DEFAULTS.ollamaHost;
+  const defaultModel = document.getElementById("ollamaModel").value;
+  const numCtx = parseInt(document.getElementById("numCtx").value, 10) || 0;
+
+  for (const action of MODEL_ACTIONS) {
+    const modelName = document.getElementById(`model-route-${action.key}`).value || defaultModel;
+    const vramEl = document.getElementById(`model-route-${action.key}-vram`);
+    const info = modelSizeMap[modelName] ? await fetchModelInfo(host, modelName) : null;
+    if (!info || !info.blockCount) {
+      vramEl.textContent = "";
+      vramEl.title = "";
+      continue;
+    }
+    const ctx = routeContextLength(action.key, numCtx, info.contextLength);
+    const result = estimateVRAM(info, modelSizeMap[modelName], ctx);
+    vramEl.textContent = "~" + formatBytes(result.total);
+    vramEl.title = `${modelName} with a ${formatCtxLabel(ctx)} context window`;
+  }
 }
 
 // --- Calendar list ---
@@ -154,6 +277,7 @@ function syncBgProcessingUI(autoAnalyzeEnabled) {
   const statsPanel = document.getElementById("bg-stats");
 
   const show = autoAnalyzeEnabled ? "" : "none";
+  document.getElementById("analysisMode-settings").style.display = show;
   cacheLabel.style.display = show;
   cacheSelect.style.display = show;
   if (cacheHint) cacheHint.style.display = show;
@@ -162,6 +286,12 @@ function syncBgProcessingUI(autoAnalyzeEnabled) {
   if (autoAnalyzeEnabled) updateBgStats();
 }
 
+// The concurrency option only applies to multi-pass analysis.
+function syncAnalysisModeUI(mode) {
+  document.getElementById("multipassConcurrent-wrap").style.display =
+    mode === "multipass" ? "" : "none";
+}
+
 // --- Auto-tag UI sync ---
 // autoTagOnCache requires Auto Analyze (functionally meaningless without it).
 
@@ -200,7 +330,7 @@ async function updateBgStats() {
     if (status.processing) parts.push("processing…");
     if (status.processedCount > 0) parts.push(`Processed this session: ${status.processedCount}`);
     if (status.errorCount > 0) parts.push(`Errors: ${status.errorCount}`);
-    if (status.paused) parts.push("(paused — Ollama unreachable)");
+    if (status.paused) parts.push("(paused — LLM server unreachable)");
     if (!status.enabled) parts.push("(stopped)");
 
     statsText.textContent = parts.length > 0 ? parts.join(" | ") : "No cached data";
@@ -224,8 +354,11 @@ function formatBytes(bytes) {
   return (bytes / 1024).toFixed(0) + " KB";
 }
 
+// Architecture details come from Ollama's /api/show — OpenAI-compatible
+// servers have no equivalent, so VRAM estimates are Ollama-only.
 async function fetchModelInfo(host, modelName) {
   if (!modelName) return null;
+  if (document.getElementById("llmProvider").value !== "ollama") return null;
   if (modelInfoCache[modelName]) return modelInfoCache[modelName];
 
   try {
@@ -323,7 +456,12 @@ async function updateVramEstimate() {
     recommendations.push("This is a thinking model — it needs at least 8K output tokens to work reliably.");
   }
 
-  if (autoAnalyze) {
+  const multiPass = document.getElementById("analysisMode").value === "multipass";
+  if (autoAnalyze && multiPass) {
+    if (numCtxVal > 0 && numCtxVal < 8192) {
+      recommendations.push("Multi-pass Auto Analyze works best with an 8K+ context window.");
+    }
+  } else if (autoAnalyze) {
     if (numCtxVal > 0 && numCtxVal < 16384) {
       recommendations.push("Auto Analyze works best with a 16K+ context window.");
     }
@@ -344,20 +482,31 @@ async function updateVramEstimate() {
 
 async function restoreOptions() {
   const s = await browser.storage.sync.get(DEFAULTS);
+  const { llmApiKey } = await browser.storage.local.get({ llmApiKey: "" });
 
+  document.getElementById("llmProvider").value           = s.llmProvider || "ollama";
+  document.getElementById("llmApiKey").value             = llmApiKey;
   document.getElementById("ollamaHost").value            = s.ollamaHost;
   document.getElementById("attendeesSource").value       = s.attendeesSource;
   document.getElementById("attendeesStatic").value       = s.attendeesStatic;
   document.getElementById("descriptionFormat").value     = s.descriptionFormat;
+  document.getElementById("timezoneMode").value          = s.timezoneMode || "keep";
+  document.getElementById("reminderRules").value         = formatReminderRules(s.reminderRules);
   document.getElementById("taskDescriptionFormat").value    = s.taskDescriptionFormat;
   document.getElementById("taskDefaultDue").value           = s.taskDefaultDue;
   document.getElementById("calendarUseCategory").checked    = !!s.calendarUseCategory;
   document.getElementById("taskUseCategory").checked        = !!s.taskUseCategory;
   document.getElementById("replyMode").value                = s.replyMode;
+  document.getElementById("replyTone").value                = s.replyTone || "";
+  document.getElementById("replyLength").value              = s.replyLength || "";
   document.getElementById("autoTagAfterAction").checked      = !!s.autoTagAfterAction;
   document.getElementById("autoTagOnCache").checked          = !!s.autoTagOnCache;
   document.getElementById("autoAnalyzeEnabled").checked      = !!s.autoAnalyzeEnabled;
   document.getElementById("bgCacheMaxDays").value            = String(s.bgCacheMaxDays || 1);
+  document.getElementById("analysisMode").value              = s.analysisMode || "combined";
+  document.getElementById("multipassConcurrent").checked     = !!s.multipassConcurrent;
+  document.getElementById("includeThread").checked           = s.includeThread !== false;
+  syncAnalysisModeUI(s.analysisMode || "combined");
   document.getElementById("debugPromptPreview").checked     = !!s.debugPromptPreview;
 
   // Sync background processing + auto-tag UI state
@@ -367,16 +516,19 @@ async function restoreOptions() {
   document.getElementById("numPredict").value    = String(s.numPredict || 0);
 
   syncAttendeesUI(s.attendeesSource);
+  syncProviderUI(s.llmProvider);
 
   // Populate dropdowns (these fetch from external sources)
-  await Promise.all([
+  const [models] = await Promise.all([
     populateModels(document.getElementById("ollamaModel"), s.ollamaModel),
     populateCalendars(document.getElementById("defaultCalendar"), s.defaultCalendar),
     populateAddressBooks(document.getElementById("contactAddressBook"), s.contactAddressBook),
   ]);
+  populateModelRoutes(models, s.modelOverrides);
 
-  // Update VRAM estimate after models are loaded
+  // Update VRAM estimates after models are loaded
   updateVramEstimate();
+  updateRouteEstimates();
 }
 
 // --- Save all settings at once ---
@@ -407,29 +559,50 @@ async function saveOptions() {
     return;
   }
 
+  // Validate reminder rules
+  const { rules: reminderRules, errors: ruleErrors } = parseReminderRules(document.getElementById("reminderRules").value);
+  if (ruleErrors.length > 0) {
+    const el = document.getElementById("status");
+    el.style.color = "red";
+    el.textContent = `Reminder rule not understood: "${ruleErrors[0]}"`;
+    setTimeout(() => { el.textContent = ""; el.style.color = "green"; }, 3000);
+    return;
+  }
+
   const settings = {
+    llmProvider:           document.getElementById("llmProvider").value,
     ollamaHost:            host,
     ollamaModel:           document.getElementById("ollamaModel").value,
+    modelOverrides:        currentModelOverrides(),
     attendeesSource:       attendeeSrc,
     attendeesStatic:       staticEmail,
     defaultCalendar:       document.getElementById("defaultCalendar").value,
     descriptionFormat:     document.getElementById("descriptionFormat").value,
+    timezoneMode:          document.getElementById("timezoneMode").value,
+    reminderRules:         reminderRules,
     taskDescriptionFormat: document.getElementById("taskDescriptionFormat").value,
     taskDefaultDue:        document.getElementById("taskDefaultDue").value,
     calendarUseCategory:   document.getElementById("calendarUseCategory").checked,
     taskUseCategory:       document.getElementById("taskUseCategory").checked,
     replyMode:             document.getElementById("replyMode").value,
+    replyTone:             document.getElementById("replyTone").value,
+    replyLength:           document.getElementById("replyLength").value,
     contactAddressBook:    document.getElementById("contactAddressBook").value,
     autoTagAfterAction:    document.getElementById("autoTagAfterAction").checked,
     autoTagOnCache:        document.getElementById("autoTagOnCache").checked,
     autoAnalyzeEnabled:    document.getElementById("autoAnalyzeEnabled").checked,
     bgCacheMaxDays:        Number(document.getElementById("bgCacheMaxDays").value) || 1,
+    analysisMode:          document.getElementById("analysisMode").value,
+    multipassConcurrent:   document.getElementById("multipassConcurrent").checked,
+    includeThread:         document.getElementById("includeThread").checked,
     numCtx:                Number(document.getElementById("numCtx").value) || 0,
     numPredict:            Number(document.getElementById("numPredict").value) || 0,
     debugPromptPreview:    document.getElementById("debugPromptPreview").checked,
   };
 
   await browser.storage.sync.set(settings);
+  // The API key is a credential — kept on this device, never synced
+  await browser.storage.local.set({ llmApiKey: document.getElementById("llmApiKey").value.trim() });
 
   const el = document.getElementById("status");
   el.style.color = "green";
@@ -437,6 +610,67 @@ async function saveOptions() {
   setTimeout(() => { el.textContent = ""; }, 2000);
 }
 
+// --- Writing style profile ---
+//
+// Kept in storage.local (it describes the user's own emails), separately
+// from the settings saved by the Save button.
+
+function showStyleProfile(profile) {
+  document.getElementById("styleProfile").value = profile ? profile.text : "";
+  const learned = document.getElementById("style-learned");
+  if (profile && profile.sampleCount) {
+    const date = new Date(profile.updatedAt).toLocaleDateString();
+    learned.textContent = `Learned from ${profile.sampleCount} sent email${profile.sampleCount > 1 ? "s" : ""} on ${date}.`;
+  } else if (profile && profile.text) {
+    learned.textContent = `Edited by hand on ${new Date(profile.updatedAt).toLocaleDateString()}.`;
+  } else {
+    learned.textContent = "";
+  }
+}
+
+async function restoreStyleProfile() {
+  const { styleProfile } = await browser.storage.local.get({ styleProfile: null });
+  showStyleProfile(styleProfile);
+}
+
+function setStyleStatus(text, color) {
+  const status = document.getElementById("style-status");
+  status.textContent = text;
+  status.style.color = color;
+}
+
+async function rebuildStyleProfile() {
+  if (!confirm(`This sends your ${STYLE_SAMPLE_COUNT} most recent sent emails to the configured LLM to learn your writing style, replacing the current profile.\n\nContinue?`)) return;
+
+  const btn = document.getElementById("rebuild-style-btn");
+  btn.disabled = true;
+  setStyleStatus("Reading sent emails\u2026", "#333");
+  try {
+    const result = await browser.runtime.sendMessage({ action: "rebuildStyleProfile" });
+    if (result.error) throw new Error(result.error);
+    showStyleProfile(result.profile);
+    setStyleStatus("Profile updated.", "green");
+  } catch (e) {
+    setStyleStatus("Error: " + e.message, "red");
+  }
+  btn.disabled = false;
+}
+
+async function saveStyleProfile() {
+  const text = document.getElementById("styleProfile").value.trim();
+  if (!text) return clearStyleProfile();
+  const profile = { text, sampleCount: 0, updatedAt: Date.now() };
+  await browser.storage.local.set({ styleProfile: profile });
+  showStyleProfile(profile);
+  setStyleStatus("Saved.", "green");
+}
+
+async function clearStyleProfile() {
+  await browser.storage.local.remove("styleProfile");
+  showStyleProfile(null);
+  setStyleStatus("Cleared.", "green");
+}
+
 // --- Wire up events ---
 
 async function maybeShowFirstRunNotice() {
@@ -453,7 +687,9 @@ async function maybeShowFirstRunNotice() {
 
 document.addEventListener("DOMContentLoaded", () => {
   maybeShowFirstRunNotice();
+  buildModelRoutes();
   restoreOptions();
+  restoreStyleProfile();
 
   // Auto-refresh stats every 2 seconds so you can watch progress
   setInterval(updateBgStats, 2000);
@@ -461,19 +697,35 @@ document.addEventListener("DOMContentLoaded", () => {
   document.getElementById("attendeesSource").addEventListener("change", e =>
     syncAttendeesUI(e.target.value));
 
+  document.getElementById("llmProvider").addEventListener("change", async (e) => {
+    syncProviderUI(e.target.value);
+    const sel = document.getElementById("ollamaModel");
+    const overrides = currentModelOverrides();
+    modelInfoCache = {};
+    const models = await populateModels(sel, sel.value);
+    populateModelRoutes(models, overrides);
+    updateVramEstimate();
+    updateRouteEstimates();
+  });
+
   document.getElementById("refresh-models").addEventListener("click", async () => {
     const sel = document.getElementById("ollamaModel");
+    const overrides = currentModelOverrides();
     modelInfoCache = {};
-    await populateModels(sel, sel.value);
+    const models = await populateModels(sel, sel.value);
+    populateModelRoutes(models, overrides);
     updateVramEstimate();
+    updateRouteEstimates();
   });
 
   document.getElementById("ollamaModel").addEventListener("change", () => {
     updateVramEstimate();
+    updateRouteEstimates();
   });
 
   document.getElementById("numCtx").addEventListener("change", () => {
     updateVramEstimate();
+    updateRouteEstimates();
   });
 
   document.getElementById("numPredict").addEventListener("change", () => {
@@ -485,6 +737,12 @@ document.addEventListener("DOMContentLoaded", () => {
     if (warning) warning.style.display = document.getElementById("autoTagOnCache").checked ? "block" : "none";
   });
 
+  document.getElementById("analysisMode").addEventListener("change", () => {
+    syncAnalysisModeUI(document.getElementById("analysisMode").value);
+    updateVramEstimate();
+    updateRouteEstimates();
+  });
+
   document.getElementById("autoAnalyzeEnabled").addEventListener("change", () => {
     updateVramEstimate();
     syncBgProcessingUI(document.getElementById("autoAnalyzeEnabled").checked);
@@ -601,5 +859,9 @@ document.addEventListener("DOMContentLoaded", () => {
     btn.disabled = false;
   });
 
+  document.getElementById("rebuild-style-btn").addEventListener("click", rebuildStyleProfile);
+  document.getElementById("save-style-btn").addEventListener("click", saveStyleProfile);
+  document.getElementById("clear-style-btn").addEventListener("click", clearStyleProfile);
+
   document.getElementById("save-btn").addEventListener("click", saveOptions);
 });
@@ -10,7 +10,6 @@
 const BG_PROCESSOR_DELAY_MS = 2000;       // pause between background calls
 const BG_RETRY_DELAY_MS     = 30000;      // retry delay when Ollama is down
 const BG_MIN_EMAIL_LENGTH   = 20;         // skip very short emails
-const BG_MAX_BODY_LENGTH    = 12000;      // truncate body for combined prompt
 const BG_BACKFILL_DAYS      = 1;          // how many days back to look on startup
 
 const BG_LOG_PREFIX = "[ThunderClerk-AI BG]";
@@ -21,20 +20,24 @@ const bgQueue = [];                       // array of { messageId, force }
 let bgProcessing = false;                 // currently running an extraction
 let bgPaused = false;                     // paused (Ollama unreachable, etc.)
 let bgEnabled = false;                    // user setting
-let manualActionInFlight = false;         // a manual menu action is running
+let manualActionCount = 0;                // manual actions running (see nextManualActionCount)
 let bgProcessedCount = 0;                 // session counter
 let bgErrorCount = 0;                     // session counter
 
 // Callback hooks for Ollama status indicator (wired up in background.js)
-let bgOnOllamaError = null;               // called when callOllama fails
-let bgOnOllamaSuccess = null;             // called after successful callOllama
+let bgOnOllamaError = null;               // called when callLLM fails
+let bgOnOllamaSuccess = null;             // called after successful callLLM
 
 // --- Public API for background.js ---
 
+// Call with true when a manual action starts and false when it finishes,
+// once each; processing resumes after the last running action finishes.
 function bgProcessorSetManualFlag(active) {
-  manualActionInFlight = active;
+  manualActionCount = nextManualActionCount(manualActionCount, active);
   if (active) {
     console.log(BG_LOG_PREFIX, "Manual action started — background processing paused");
+  } else if (manualActionCount > 0) {
+    console.log(BG_LOG_PREFIX, `Manual action finished — ${manualActionCount} still running`);
   } else {
     console.log(BG_LOG_PREFIX, "Manual action finished — background processing resumed");
     scheduleNext();
@@ -86,7 +89,7 @@ function scheduleNext() {
 
 async function processNextInQueue() {
   if (bgProcessing || bgPaused || !bgEnabled || bgQueue.length === 0) return;
-  if (manualActionInFlight) {
+  if (manualActionCount > 0) {
     console.log(BG_LOG_PREFIX, "Waiting for manual action to finish…");
     setTimeout(() => processNextInQueue(), 1000);
     return;
@@ -107,8 +110,8 @@ async function processNextInQueue() {
 
     // Load settings
     const settings = await browser.storage.sync.get(DEFAULTS);
-    const host  = settings.ollamaHost  || "http://127.0.0.1:11434";
-    const model = settings.ollamaModel || DEFAULTS.ollamaModel;
+    const conn  = await llmConnection(settings);
+    const model = modelFor(settings, "background");
 
     // Get message data
     let message;
@@ -137,23 +140,45 @@ async function processNextInQueue() {
       return;
     }
 
-    // Skip very short emails
+    // Attached invites are parsed, not analyzed (see background.js)
+    let invite = null;
+    try {
+      invite = await readCalendarInvite(item.messageId, full);
+      if (invite) console.log(BG_LOG_PREFIX, `  Calendar invite: ${invite.events.length} event(s), ${invite.tasks.length} task(s)`);
+    } catch (e) {
+      console.warn(BG_LOG_PREFIX, `  Could not read calendar invite: ${e.message}`);
+    }
+
+    // Skip very short emails — invite-only messages still get the invite's items,
+    // validated and keyed to their thread like any other analysis
     if (!emailBody || emailBody.length < BG_MIN_EMAIL_LENGTH) {
       console.log(BG_LOG_PREFIX, `Message ${item.messageId} body too short (${emailBody?.length || 0} chars) — caching as empty`);
-      await cacheSet(item.messageId, { summary: "(email too short to analyze)", events: [], tasks: [], contacts: [], tags: [], reply: "", forwardSummary: "" });
+      const { threadKey } = threadInfo(full);
+      const validated = validateAnalysis(attachMeetingLinks(
+        mergeInviteItems({ summary: "(email too short to analyze)", events: [], tasks: [], contacts: [], tags: [], reply: "", forwardSummary: "" }, invite),
+        extractMeetingLinks(rawMessageText(full))
+      ));
+      await cacheSet(item.messageId, validated.data, validated.warnings, threadKey);
       bgProcessing = false;
       scheduleNext();
       return;
     }
 
-    // Truncate if needed
-    let analysisBody = emailBody;
-    const wasTruncated = analysisBody.length > BG_MAX_BODY_LENGTH;
-    if (wasTruncated) {
-      analysisBody = analysisBody.slice(0, BG_MAX_BODY_LENGTH) +
-        "\n\n[… email truncated — there may be additional items beyond this point]";
+    // Cleaned body plus the earlier messages of the conversation (quoted
+    // history is left out of the body when they're found — see background.js)
+    const thread = await prepareThreadContext(full, emailBody, settings);
+    if (thread.threadContext) {
+      console.log(BG_LOG_PREFIX, `  Thread context: ${thread.threadContext.length} chars`);
     }
-    console.log(BG_LOG_PREFIX, `  Body: ${emailBody.length} chars${wasTruncated ? ` (truncated to ${BG_MAX_BODY_LENGTH})` : ""}`);
+
+    // Split bodies past the context budget into chunks (see background.js)
+    const analysisBody = thread.body;
+    const multiPass  = settings.analysisMode === "multipass";
+    const minCtx     = multiPass ? MULTIPASS_MIN_CTX : 16384;
+    const minPredict = multiPass ? MULTIPASS_MIN_PREDICT : 16384;
+    const budget = analysisBodyBudget(Math.max(settings.numCtx || 0, minCtx), thread.threadContext.length);
+    const chunks = splitIntoChunks(analysisBody, budget);
+    console.log(BG_LOG_PREFIX, `  Body: ${emailBody.length} chars${chunks.length > 1 ? ` (${chunks.length} chunks of up to ${budget})` : ""}`);
 
     const author       = message.author || "";
     const mailDatetime = formatDatetime(message.date);
@@ -174,22 +199,40 @@ async function processNextInQueue() {
     } catch {}
 
     const signals = extractEmailSignals(full, message);
-    const prompt = buildCombinedExtractionPrompt(
-      analysisBody, subject, author, mailDatetime, currentDt,
-      attendeeHints, categories, existingTags, signals
-    );
-    console.log(BG_LOG_PREFIX, `  Prompt: ${prompt.length} chars — calling ${model}…`);
-
-    // Call Ollama
-    const ollamaOpts = {
-      num_ctx: Math.max(settings.numCtx || 0, 16384),
-      num_predict: Math.max(settings.numPredict || 0, 16384),
+    const input = {
+      body: withThreadContext(analysisBody, thread.threadContext), subject, author,
+      mailDatetime, currentDt, attendeeHints, categories, existingTags, signals,
+      threadContext: thread.threadContext, invite,
+      availability: await inviteAvailability(invite),
+      style: await loadStyleProfile(),
     };
 
     const ollamaStartTime = Date.now();
-    let rawResponse;
+    let rawResponse = null;
+    let result = null;
     try {
-      rawResponse = await callOllama(host, model, prompt, ollamaOpts);
+      if (chunks.length > 1) {
+        // Chunked: per-chunk extraction + digest, merged (see background.js)
+        console.log(BG_LOG_PREFIX, `  Chunked analysis — calling ${model}…`);
+        result = await runChunkedAnalysis(conn, model, input, chunks, settings, { minCtx, minPredict });
+      } else if (multiPass) {
+        // Multi-pass: triage + focused prompts, merged (see background.js)
+        console.log(BG_LOG_PREFIX, `  Multi-pass analysis — calling ${model}…`);
+        result = await runMultiPassAnalysis(conn, model, input, settings);
+      } else {
+        const prompt = buildCombinedExtractionPrompt(
+          analysisBody, subject, author, mailDatetime, currentDt,
+          attendeeHints, categories, existingTags, signals, thread.threadContext, input.availability, input.style
+        );
+        console.log(BG_LOG_PREFIX, `  Prompt: ${prompt.length} chars — calling ${model}…`);
+
+        const ollamaOpts = {
+          num_ctx: Math.max(settings.numCtx || 0, minCtx),
+          num_predict: Math.max(settings.numPredict || 0, minPredict),
+          format: buildOutputSchema("combined", { categories }),
+        };
+        rawResponse = await callLLM(conn, model, prompt, ollamaOpts);
+      }
     } catch (e) {
       const elapsed = ((Date.now() - ollamaStartTime) / 1000).toFixed(1);
       console.warn(BG_LOG_PREFIX, `  Ollama error after ${elapsed}s: ${e.message}`);
@@ -208,45 +251,36 @@ async function processNextInQueue() {
     }
 
     const ollamaElapsed = ((Date.now() - ollamaStartTime) / 1000).toFixed(1);
-    console.log(BG_LOG_PREFIX, `  Ollama responded in ${ollamaElapsed}s — ${rawResponse.length} chars`);
+    console.log(BG_LOG_PREFIX, `  Ollama responded in ${ollamaElapsed}s${rawResponse !== null ? ` — ${rawResponse.length} chars` : ""}`);
     if (typeof bgOnOllamaSuccess === "function") bgOnOllamaSuccess();
 
     // Parse response
-    let result = null;
-    try {
-      const jsonStr = extractJSON(rawResponse);
-      result = JSON.parse(jsonStr);
-    } catch (parseErr) {
-      console.warn(BG_LOG_PREFIX, `  JSON parse failed: ${parseErr.message} — attempting repair`);
-      result = typeof repairAnalysisJSON === "function"
-        ? repairAnalysisJSON(rawResponse)
-        : null;
-      if (result) {
-        console.log(BG_LOG_PREFIX, "  Repair succeeded — got:", Object.keys(result).join(", "));
+    if (rawResponse !== null) {
+      try {
+        const jsonStr = extractJSON(rawResponse);
+        result = JSON.parse(jsonStr);
+      } catch (parseErr) {
+        console.warn(BG_LOG_PREFIX, `  JSON parse failed: ${parseErr.message} — attempting repair`);
+        result = typeof repairAnalysisJSON === "function"
+          ? repairAnalysisJSON(rawResponse)
+          : null;
+        if (result) {
+          console.log(BG_LOG_PREFIX, "  Repair succeeded — got:", Object.keys(result).join(", "));
+        }
       }
     }
 
     if (result) {
-      // Normalize priority field
-      const VALID_PRIORITIES = ["urgent", "action-needed", "informational", "low"];
-      if (!result.priority || !VALID_PRIORITIES.includes(result.priority)) {
-        result.priority = "informational";
-      }
-
-      // Normalize item previews
-      for (const key of ["events", "tasks", "contacts"]) {
-        if (Array.isArray(result[key])) {
-          result[key] = result[key].map(item => {
-            if (typeof item === "string") return { preview: item };
-            if (!item.preview) {
-              item.preview = item.title || item.name || item.description
-                || item.summary || item.label || "";
-            }
-            return item;
-          });
-        }
+      // Invite items and meeting links come from the message itself, not the model
+      result = attachMeetingLinks(mergeInviteItems(result, invite), extractMeetingLinks(rawMessageText(full)));
+
+      // Coerce into the cached shape; keep warnings for the analyze dialog
+      const validated = validateAnalysis(result);
+      result = validated.data;
+      if (validated.warnings.length > 0) {
+        console.log(BG_LOG_PREFIX, `  Validation: ${validated.warnings.length} field(s) fixed or dropped`);
       }
-      await cacheSet(item.messageId, result);
+      await cacheSet(item.messageId, result, validated.warnings, thread.threadKey);
       bgProcessedCount++;
 
       // Auto-tag if enabled (read directly — key may be absent from older DEFAULTS)
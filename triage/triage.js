@@ -21,12 +21,12 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Track card states (archived/deleted/queued) — shared across both views
   const cardState = {}; // messageId → { archived, deleted, queued }
   for (const item of selectedItems) {
-    cardState[item.messageId] = { archived: false, deleted: false, queued: false, tagged: false };
+    cardState[item.messageId] = { archived: false, deleted: false, queued: false, tagged: false, added: 0 };
   }
 
   function ensureCardState(messageId) {
     if (!cardState[messageId]) {
-      cardState[messageId] = { archived: false, deleted: false, queued: false, tagged: false };
+      cardState[messageId] = { archived: false, deleted: false, queued: false, tagged: false, added: 0 };
     }
   }
 
@@ -63,6 +63,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   const archiveBtn = document.getElementById("archive-selected-btn");
   const deleteBtn = document.getElementById("delete-selected-btn");
   const tagBtn = document.getElementById("tag-selected-btn");
+  const addItemsBtn = document.getElementById("add-items-btn");
   const queueUnanalyzedBtn = document.getElementById("queue-unanalyzed-btn");
   const emailCountEl = document.getElementById("email-count");
   const viewBtn = document.getElementById("view-btn");
@@ -173,6 +174,12 @@ document.addEventListener("DOMContentLoaded", async () => {
         taggedLabel.textContent = "Tagged";
         meta.appendChild(taggedLabel);
       }
+      if (state.added > 0) {
+        const addedLabel = document.createElement("span");
+        addedLabel.className = "card-status status-added";
+        addedLabel.textContent = `Added ${state.added}`;
+        meta.appendChild(addedLabel);
+      }
 
       // Action buttons
       const actions = document.createElement("div");
@@ -249,11 +256,20 @@ document.addEventListener("DOMContentLoaded", async () => {
     );
     tagBtn.disabled = !hasTaggable;
 
+    // Add Items: enabled when any checked item has events or tasks not yet added
+    addItemsBtn.disabled = !active.some(i =>
+      checkedIds.has(i.messageId) && hasCalendarItems(i) && !cardState[i.messageId]?.added
+    );
+
     // Update select-all state
     selectAllCb.checked = checkboxes.length > 0 && checkedCount === checkboxes.length;
     selectAllCb.indeterminate = checkedCount > 0 && checkedCount < checkboxes.length;
   }
 
+  function hasCalendarItems(item) {
+    return item.cached && (item.analysis.eventCount > 0 || item.analysis.taskCount > 0);
+  }
+
   function getActiveCheckboxes() {
     return [...cardListEl.querySelectorAll(".card-cb:not(:disabled)")];
   }
@@ -342,6 +358,17 @@ document.addEventListener("DOMContentLoaded", async () => {
     browser.runtime.sendMessage({ triageAction: "tagAll", items });
   });
 
+  addItemsBtn.addEventListener("click", () => {
+    const active = getActiveItems();
+    const ids = getCheckedMessageIds().filter(id => {
+      const item = active.find(i => i.messageId === id);
+      return item && hasCalendarItems(item) && !cardState[id]?.added;
+    });
+    if (ids.length === 0) return;
+    addItemsBtn.disabled = true;
+    browser.runtime.sendMessage({ triageAction: "addItems", messageIds: ids });
+  });
+
   queueUnanalyzedBtn.addEventListener("click", () => {
     const active = getActiveItems();
     const unqueued = active
@@ -394,6 +421,13 @@ document.addEventListener("DOMContentLoaded", async () => {
       updateToolbarState();
     }
 
+    if (msg.triageItemsAdded) {
+      ensureCardState(msg.messageId);
+      cardState[msg.messageId].added = msg.created || 0;
+      renderCards();
+      updateToolbarState();
+    }
+
     if (msg.triageViewDone) {
       renderCards();
     }